@@ -15,13 +15,67 @@ import type Joi from "joi";
 interface TypeConfig {
     name: string;
     check: (v: unknown) => boolean;
-    parse: (v: string) => unknown;
+    /** Parses an ISO string, or a property bag when the type has `bag`. */
+    parse: (v: any, options?: Temporal.ZonedDateTimeAssignmentOptions) => unknown;
+    /** Names a more specific error code than `base` when `parse` throws. */
+    parseFailure?: (input: unknown, options: Temporal.ZonedDateTimeAssignmentOptions) => ParseFailure | undefined;
     baseMessage: string;
-    compare?: (a: any, b: any) => number;
+    canonical: Canonical;
+    bag?: PropertyBag;
+    /** Enables `.format()`, which parses token patterns into `bag` fields. */
+    patterns?: boolean;
+    /** Enables named `.format()` presets; builds the value from the parsed wall-clock time and zone. */
+    fromPreset?: (dateTime: Temporal.PlainDateTime, timeZone: string) => unknown;
+    /** Enables `.epoch()` and `.fromDate()`. */
+    instant?: InstantProjection;
+    /** An exact point in time, so `.output()` can produce epoch numbers and `Date`s. */
+    exact?: boolean;
+    /** Enables `.calendar()`, and `.withCalendar()` where converting between calendars is well-defined. */
+    calendar?: {
+        convert?: (value: any, calendar: string) => unknown;
+        /** Why there is no `convert`, for the error `.withCalendar()` throws. */
+        unconvertible?: string;
+    };
+    compare?: (a: any, b: any, ctx: CompareContext) => number;
     compareMessages?: { min: string; max: string; gt: string; lt: string };
-    now?: () => unknown;
+    now?: (now: Temporal.ZonedDateTime, value: any) => unknown;
+    /** Values wrap around (times of day), so limits can't be shifted and there is no `.within()`. */
+    wraps?: boolean;
+    /** Adds a duration to a limit; defaults to `value.add(duration)`. */
+    shift?: (value: any, duration: Temporal.Duration, ctx: CompareContext) => unknown;
+    step?: StepConfig;
+    stepMessage?: string;
+    /** Enables `.sameDayAs()`: the value's calendar date, seen from `timeZone` when given. */
+    calendarDay?: (value: any, timeZone?: string) => Temporal.PlainDate;
+    /** Adds `.precision()` and `.round()`; the value must have a time-of-day `round()`. */
+    roundable?: boolean;
     extraMessages?: Record<string, string>;
-    extraRules?: Record<string, any>;
+    extraRules?: Record<string, any> | ((ext: ExtensionContext) => Record<string, any>);
+}
+
+/** An error code suffix and its context. */
+type ParseFailure = [code: string, context: Record<string, unknown>];
+
+/** What `extraRules` factories get from the extension being built. */
+interface ExtensionContext {
+    /** The clock snapshot as wall-clock time, honoring `context.timeZone`. */
+    now: (helpers: any) => Temporal.ZonedDateTime;
+}
+
+interface CompareContext {
+    /** The clock snapshot as wall-clock time in the rule's zone. */
+    now: () => Temporal.ZonedDateTime;
+    helpers: any;
+}
+
+/** Thrown from config hooks to fail the current rule with a specific error code. */
+class RuleError extends Error {
+    constructor(
+        readonly code: string,
+        readonly local?: Record<string, unknown>,
+    ) {
+        super(code);
+    }
 }
 
 const DEFAULT_COMPARE = {
@@ -38,35 +92,799 @@ const CHECKS: [string, (c: number) => boolean][] = [
     ["lt", (c) => c < 0],
 ];
 
+// ── Clock ───────────────────────────────────────────────────
+
+/** Source of the current instant. */
+export type Clock = () => Temporal.Instant;
+
+export interface Options {
+    /** Defaults to `Temporal.Now.instant()`; overridable per call via `context.clock`. */
+    clock?: Clock;
+}
+
+const snapshots = new WeakMap<object, Temporal.Instant>();
+
+/**
+ * Reads the clock once per `validate()` call. Every rule in the call shares the
+ * first reading, so two fields can't see different "todays" around midnight.
+ */
+function currentInstant(helpers: any, options: Options): Temporal.Instant {
+    const key = helpers.state.mainstay;
+    let instant = snapshots.get(key);
+    if (!instant) {
+        const clock: Clock = helpers.prefs.context?.clock ?? options.clock ?? (() => Temporal.Now.instant());
+        instant = clock();
+        snapshots.set(key, instant);
+    }
+    return instant;
+}
+
+/**
+ * The clock snapshot as wall-clock time. The zone is the rule's `timeZone`
+ * option, else `context.timeZone`, else the system time zone.
+ */
+function localNow(helpers: any, options: Options, timeZone?: unknown): Temporal.ZonedDateTime {
+    const contextZone = helpers.prefs.context?.timeZone;
+    if (timeZone === undefined && contextZone !== undefined && !isTimeZone(contextZone)) {
+        throw new RuleError("any.ref", { arg: "timeZone", ref: "context.timeZone", reason: "is not a valid time zone" });
+    }
+    const zone = timeZone ?? contextZone ?? Temporal.Now.timeZoneId();
+    return currentInstant(helpers, options).toZonedDateTimeISO(zone as string);
+}
+
+/** The canonical id of a supported calendar (`"ISO8601"` → `"iso8601"`), or `undefined`. */
+function toCalendar(v: unknown): string | undefined {
+    if (typeof v !== "string") return undefined;
+    try {
+        return new Temporal.PlainDate(2000, 1, 1, v).calendarId;
+    } catch {
+        return undefined;
+    }
+}
+
+function isTimeZone(v: unknown): v is string {
+    if (typeof v !== "string") return false;
+    try {
+        Temporal.Instant.fromEpochMilliseconds(0).toZonedDateTimeISO(v);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// ── Limits ──────────────────────────────────────────────────
+
+/** `"now+P1D"` / `"now-PT2H"` — "now" shifted by an ISO 8601 duration. */
+const RELATIVE_NOW = /^now([+-])(.+)$/;
+
+interface LimitSettings {
+    /** Zone "now" is read in for plain types: an IANA id or a `Joi.ref`. */
+    timeZone?: unknown;
+    /** Shifts the limit, e.g. `.min(Joi.ref("checkin"), { add: "P1D" })`. */
+    add?: Temporal.DurationLike | string;
+    subtract?: Temporal.DurationLike | string;
+}
+
+interface WithinSettings extends LimitSettings {
+    /** Which side of the limit the window extends to; defaults to `"both"`. */
+    direction?: "before" | "after" | "both";
+}
+
+interface RelativeLimit {
+    from: unknown;
+    add?: Temporal.DurationLike | string;
+    subtract?: Temporal.DurationLike | string;
+}
+
+function isPlainObject(v: unknown): v is Record<string, unknown> {
+    return typeof v === "object" && v !== null && Object.getPrototypeOf(v) === Object.prototype;
+}
+
+function isDurationLike(v: unknown): boolean {
+    try {
+        Temporal.Duration.from(v as string);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function isRelativeLimit(v: unknown): v is RelativeLimit {
+    return isPlainObject(v) && "from" in v;
+}
+
+/** Resolves a rule option that may be a `Joi.ref` against the value being validated. */
+function resolveOption(option: unknown, value: unknown, helpers: any): unknown {
+    return helpers.schema.$_root.isRef(option)
+        ? (option as any).resolve(value, helpers.state, helpers.prefs)
+        : option;
+}
+
+/**
+ * Resolves a comparator limit to a Temporal value at validation time. Limits
+ * may be ISO strings, Temporal instances, `"now"`, relative expressions like
+ * `"now-P30D"`, or `{ from, add, subtract }` objects.
+ */
+function resolveLimit(
+    config: TypeConfig,
+    limit: unknown,
+    value: unknown,
+    ctx: CompareContext,
+): unknown {
+    if (typeof limit === "string") {
+        const match = RELATIVE_NOW.exec(limit);
+        if (match && config.now) {
+            const relative = { from: "now", [match[1] === "+" ? "add" : "subtract"]: match[2] };
+            return resolveLimit(config, relative, value, ctx);
+        }
+    }
+
+    if (isRelativeLimit(limit)) {
+        const shift = config.shift ?? ((v: any, d: Temporal.Duration) => v.add(d));
+        let resolved = resolveLimit(config, limit.from, value, ctx);
+        if (limit.add !== undefined) resolved = shift(resolved, Temporal.Duration.from(limit.add), ctx);
+        if (limit.subtract !== undefined) {
+            resolved = shift(resolved, Temporal.Duration.from(limit.subtract).negated(), ctx);
+        }
+        return resolved;
+    }
+
+    if (limit === "now" && config.now) return config.now(ctx.now(), value);
+    return typeof limit === "string" ? config.parse(limit) : limit;
+}
+
+/** Checks a comparator limit when the schema is built, so a bad one can't throw from `validate()`. */
+function isLimit(config: TypeConfig, v: unknown): boolean {
+    if (config.check(v)) return true;
+    if (isRelativeLimit(v)) {
+        return !config.wraps && isLimit(config, v.from) && [v.add, v.subtract].every((d) => d === undefined || isDurationLike(d));
+    }
+    if (typeof v !== "string") return false;
+    const match = RELATIVE_NOW.exec(v);
+    if (v === "now" || match) return !!config.now && (!match || (!config.wraps && isDurationLike(match[2])));
+    try {
+        config.parse(v);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/** Types a `.sameDayAs()` string limit may be, most specific first. */
+const DAY_LIMIT_TYPES = ["zonedDateTime", "instant", "plainDateTime", "plainDate"];
+
+/**
+ * Parses a `.sameDayAs()` string limit as whichever date-bearing type it is,
+ * since it needn't match the value's type. `"now"` expressions are left for
+ * `resolveLimit`; unparseable strings give `undefined`.
+ */
+function parseDayLimit(v: unknown): unknown {
+    if (typeof v !== "string" || v === "now") return v;
+    const match = RELATIVE_NOW.exec(v);
+    if (match) return isDurationLike(match[2]) ? v : undefined;
+    for (const name of DAY_LIMIT_TYPES) {
+        try {
+            return types.find((config) => config.name === name)!.parse(v);
+        } catch {
+            // try the next, less specific type
+        }
+    }
+    return undefined;
+}
+
+// ── Canonical formats ───────────────────────────────────────
+
+/** What `.strict()` accepts: one exact ISO 8601 shape, and how to name it in errors. */
+interface Canonical {
+    pattern: RegExp;
+    format: string;
+}
+
+// Extended format only: uppercase `T` / `Z`, no week dates, no annotations.
+const ISO_DATE = String.raw`(?:\d{4}|[+-]\d{6})-\d{2}-\d{2}`;
+const ISO_TIME = String.raw`\d{2}:\d{2}(?::\d{2}(?:\.\d{1,9})?)?`;
+const ISO_OFFSET = String.raw`(?:Z|[+-]\d{2}:\d{2})`;
+
+const canonical = (source: string, format: string): Canonical => ({ pattern: new RegExp(`^${source}$`), format });
+
+/**
+ * `.lenient()`: rewrites common near-ISO variants to the canonical shape —
+ * surrounding whitespace, a space or `t` between date and time, a lowercase
+ * `z`, and offsets without a colon (`+0530`).
+ */
+function normalizeLenient(text: string): string {
+    return text
+        .trim()
+        .replace(/^((?:\d{4}|[+-]\d{6})-\d{2}-\d{2})(?:\s+|t)(?=\d)/, "$1T")
+        .replace(/(T[\d:.,]+)z(?=\[|$)/, "$1Z")
+        .replace(/(T[\d:.,]+[+-]\d{2})(\d{2})(?=\[|$)/, "$1:$2");
+}
+
+// ── Property bags ───────────────────────────────────────────
+
+/** The plain-object form `Temporal.*.from()` accepts, e.g. `{ year, month, day }`. */
+interface PropertyBag {
+    fields: readonly string[];
+    /** Each group lists alternatives, one of which must be present. */
+    required: readonly (readonly string[])[];
+}
+
+type Overflow = "reject" | "constrain";
+
+const DATE_FIELDS = ["year", "month", "monthCode", "day", "era", "eraYear", "calendar"];
+const TIME_FIELDS = ["hour", "minute", "second", "millisecond", "microsecond", "nanosecond"];
+const YEAR_FIELD = ["year", "eraYear"];
+const MONTH_FIELD = ["month", "monthCode"];
+
+/** Fields given as strings; the rest must be integers. */
+const STRING_FIELDS = ["monthCode", "era", "calendar", "timeZone", "offset"];
+
+function isMalformedField(key: string, v: unknown): boolean {
+    if (v === undefined) return false;
+    if (key === "timeZone") return !isTimeZone(v);
+    if (key === "calendar") return toCalendar(v) === undefined;
+    if (STRING_FIELDS.includes(key)) return false;
+    return (typeof v !== "number" && typeof v !== "string") || !Number.isInteger(Number(v));
+}
+
+/**
+ * Finds the first unknown field, unmet `required` group or malformed field
+ * (a non-integer number, unknown time zone or calendar), as an error to report.
+ * Out-of-range numbers are left to `Temporal.*.from()`.
+ */
+function checkBag(bag: PropertyBag, value: Record<string, unknown>): [string, Record<string, string>] | undefined {
+    const field = Object.keys(value).find((key) => !bag.fields.includes(key));
+    if (field) return ["unknownField", { field }];
+    const missing = bag.required.find((group) => group.every((key) => value[key] === undefined));
+    if (missing) return ["missingField", { fields: missing.join(" or ") }];
+    if (Object.entries(value).some(([key, v]) => isMalformedField(key, v))) return ["base", {}];
+    return undefined;
+}
+
+// ── Patterns ────────────────────────────────────────────────
+
+/** A `.format()` pattern compiled to a regex, plus how each capture fills a property bag. */
+interface CompiledPattern {
+    regex: RegExp;
+    fields: Record<string, number>;
+    setters: ((fields: Record<string, number>, text: string) => void)[];
+}
+
+const MONTH_NAMES = [
+    "january", "february", "march", "april", "may", "june",
+    "july", "august", "september", "october", "november", "december",
+];
+
+const monthName = (length?: number) => (fields: Record<string, number>, text: string) => {
+    fields.month = MONTH_NAMES.findIndex((name) => (length ? name.slice(0, length) : name) === text.toLowerCase()) + 1;
+};
+const number = (field: string) => (fields: Record<string, number>, text: string) => {
+    fields[field] = Number(text);
+};
+
+/** Token → [regex source, setter], matched longest first. */
+const PATTERN_TOKENS: Record<string, [string, (fields: Record<string, number>, text: string) => void]> = {
+    YYYY: [String.raw`\d{4}`, number("year")],
+    // Two-digit years pivot like moment: 00–68 → 20xx, 69–99 → 19xx.
+    YY: [String.raw`\d{2}`, (f, t) => (f.year = Number(t) + (Number(t) < 69 ? 2000 : 1900))],
+    MMMM: [MONTH_NAMES.join("|"), monthName()],
+    MMM: [MONTH_NAMES.map((name) => name.slice(0, 3)).join("|"), monthName(3)],
+    MM: [String.raw`\d{2}`, number("month")],
+    M: [String.raw`\d{1,2}`, number("month")],
+    DD: [String.raw`\d{2}`, number("day")],
+    D: [String.raw`\d{1,2}`, number("day")],
+    HH: [String.raw`\d{2}`, number("hour")],
+    H: [String.raw`\d{1,2}`, number("hour")],
+    hh: [String.raw`\d{2}`, number("hour12")],
+    h: [String.raw`\d{1,2}`, number("hour12")],
+    mm: [String.raw`\d{2}`, number("minute")],
+    m: [String.raw`\d{1,2}`, number("minute")],
+    ss: [String.raw`\d{2}`, number("second")],
+    s: [String.raw`\d{1,2}`, number("second")],
+    A: ["am|pm", (f, t) => (f.pm = Number(t.toLowerCase() === "pm"))],
+    a: ["am|pm", (f, t) => (f.pm = Number(t.toLowerCase() === "pm"))],
+};
+
+const TOKEN_REGEX = /\[([^\]]*)\]|S{1,9}|YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|H|hh|h|mm|m|ss|s|A|a/g;
+
+const escapeRegex = (text: string) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/** Splits a fraction of a second into Temporal's three sub-second fields. */
+function setFraction(fields: Record<string, number>, text: string) {
+    const digits = text.padEnd(9, "0");
+    fields.millisecond = Number(digits.slice(0, 3));
+    fields.microsecond = Number(digits.slice(3, 6));
+    fields.nanosecond = Number(digits.slice(6, 9));
+}
+
+const compiledPatterns = new Map<string, CompiledPattern>();
+
+/** Compiles a token pattern like `"DD/MM/YYYY"`; text in `[brackets]` is literal. */
+function compilePattern(pattern: string): CompiledPattern {
+    let compiled = compiledPatterns.get(pattern);
+    if (compiled) return compiled;
+
+    const setters: CompiledPattern["setters"] = [];
+    const fields: Record<string, number> = {};
+    let source = "";
+    let last = 0;
+    for (const match of pattern.matchAll(TOKEN_REGEX)) {
+        source += escapeRegex(pattern.slice(last, match.index));
+        last = match.index + match[0].length;
+        if (match[1] !== undefined) {
+            source += escapeRegex(match[1]);
+            continue;
+        }
+        const [regex, setter] = match[0][0] === "S" ? [`\\d{${match[0].length}}`, setFraction] : PATTERN_TOKENS[match[0]];
+        source += `(${regex})`;
+        setters.push(setter);
+        setter(fields, "0");
+    }
+    source += escapeRegex(pattern.slice(last));
+
+    if ("hour12" in fields !== "pm" in fields) throw new Error(`pattern ${pattern} must use h or hh together with A`);
+    if ("hour12" in fields) {
+        fields.hour = 0;
+        delete fields.hour12;
+        delete fields.pm;
+    }
+    compiled = { regex: new RegExp(`^${source}$`, "i"), fields, setters };
+    compiledPatterns.set(pattern, compiled);
+    return compiled;
+}
+
+/** Matches `text` against a compiled pattern, returning a property bag or `undefined`. */
+function matchPattern(compiled: CompiledPattern, text: string): Record<string, number> | undefined {
+    const match = compiled.regex.exec(text);
+    if (!match) return undefined;
+    const fields: Record<string, number> = {};
+    compiled.setters.forEach((setter, i) => setter(fields, match[i + 1]));
+    if (fields.hour12 !== undefined) {
+        if (fields.hour12 < 1 || fields.hour12 > 12) return undefined;
+        fields.hour = (fields.hour12 % 12) + (fields.pm ? 12 : 0);
+        delete fields.hour12;
+        delete fields.pm;
+    }
+    return fields;
+}
+
+// ── Presets ─────────────────────────────────────────────────
+
+/** A timestamp read by a named preset, before it becomes an instant or zoned date-time. */
+interface PresetMatch {
+    fields: Temporal.PlainDateTimeLike;
+    timeZone: string;
+    /** ISO day of the week the text claims, checked against the date. */
+    weekday?: number;
+}
+
+const capitalize = (name: string) => name[0].toUpperCase() + name.slice(1);
+const DAY_NAMES = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"].map(capitalize);
+const SHORT_DAYS = DAY_NAMES.map((name) => name.slice(0, 3));
+const SHORT_MONTHS = MONTH_NAMES.map((name) => capitalize(name).slice(0, 3));
+
+/** RFC 2822 obsolete zone names, as offsets. */
+const ZONE_NAMES: Record<string, string> = {
+    UT: "UTC", GMT: "UTC", Z: "UTC",
+    EST: "-05:00", EDT: "-04:00", CST: "-06:00", CDT: "-05:00",
+    MST: "-07:00", MDT: "-06:00", PST: "-08:00", PDT: "-07:00",
+};
+
+const toOffset = (zone: string) => ZONE_NAMES[zone] ?? `${zone.slice(0, 3)}:${zone.slice(3)}`;
+
+/** Two-digit years per RFC 2822 §4.3: 00–49 are 20xx, 50–99 are 19xx. */
+const fullYear = (year: string) => Number(year) + (year.length === 2 ? (Number(year) < 50 ? 2000 : 1900) : 0);
+
+/** Builds a preset parser from a regex whose groups are named after the fields they fill. */
+function preset(source: string): (text: string) => PresetMatch | undefined {
+    const regex = new RegExp(`^${source}$`);
+    return (text) => {
+        const groups = regex.exec(text)?.groups;
+        if (!groups) return undefined;
+        const fields: Record<string, number> = {
+            year: fullYear(groups.year),
+            month: /^\d+$/.test(groups.month) ? Number(groups.month) : SHORT_MONTHS.indexOf(groups.month) + 1,
+            day: Number(groups.day),
+            hour: Number(groups.hour),
+            minute: Number(groups.minute),
+            // Leap seconds clamp to :59, as Temporal's own ISO parser does.
+            second: Math.min(Number(groups.second ?? 0), 59),
+        };
+        if (groups.fraction) setFraction(fields, groups.fraction);
+        return {
+            fields,
+            timeZone: toOffset(groups.zone ?? "GMT"),
+            weekday: groups.weekday ? SHORT_DAYS.indexOf(groups.weekday.slice(0, 3)) + 1 : undefined,
+        };
+    };
+}
+
+const PRESET_MONTH = `(?<month>${SHORT_MONTHS.join("|")})`;
+const PRESET_TIME = String.raw`(?<hour>\d{2}):(?<minute>\d{2}):(?<second>\d{2})`;
+
+const IMF_FIXDATE = preset(String.raw`(?<weekday>${SHORT_DAYS.join("|")}), (?<day>\d{2}) ${PRESET_MONTH} (?<year>\d{4}) ${PRESET_TIME} GMT`);
+const RFC_850 = preset(String.raw`(?<weekday>${DAY_NAMES.join("|")}), (?<day>\d{2})-${PRESET_MONTH}-(?<year>\d{2}) ${PRESET_TIME} GMT`);
+const ASCTIME = preset(String.raw`(?<weekday>${SHORT_DAYS.join("|")}) ${PRESET_MONTH} (?<day>[ \d]\d) ${PRESET_TIME} (?<year>\d{4})`);
+
+/** Named `.format()` presets for instants and zoned date-times. */
+const PRESETS: Record<string, (text: string) => PresetMatch | undefined> = {
+    "imf-fixdate": IMF_FIXDATE,
+    rfc850: RFC_850,
+    asctime: ASCTIME,
+    // RFC 9110 §5.6.7: recipients must accept all three forms.
+    "http-date": (text) => IMF_FIXDATE(text) ?? RFC_850(text) ?? ASCTIME(text),
+    rfc2822: preset(
+        String.raw`(?:(?<weekday>${SHORT_DAYS.join("|")}),\s*)?(?<day>\d{1,2})\s+${PRESET_MONTH}\s+(?<year>\d{4}|\d{2})\s+` +
+            String.raw`(?<hour>\d{2}):(?<minute>\d{2})(?::(?<second>\d{2}))?\s+(?<zone>[+-]\d{4}|${Object.keys(ZONE_NAMES).join("|")})`,
+    ),
+    "iso-basic": preset(
+        String.raw`(?<year>\d{4})(?<month>\d{2})(?<day>\d{2})T(?<hour>\d{2})(?<minute>\d{2})(?<second>\d{2})` +
+            String.raw`(?:[.,](?<fraction>\d{1,9}))?(?<zone>Z|[+-]\d{4})`,
+    ),
+};
+
+/**
+ * Parses `text` with a named preset or a token pattern. Returns `undefined` if
+ * it doesn't match, and throws if a field is out of range.
+ */
+function parseFormat(config: TypeConfig, format: string, text: string): unknown {
+    if (Object.hasOwn(PRESETS, format)) {
+        const match = PRESETS[format](text);
+        if (!match) return undefined;
+        const dateTime = Temporal.PlainDateTime.from(match.fields, { overflow: "reject" });
+        if (match.weekday !== undefined && dateTime.dayOfWeek !== match.weekday) return undefined;
+        return config.fromPreset!(dateTime, match.timeZone);
+    }
+    const fields = matchPattern(compilePattern(format), text);
+    return fields && config.parse(fields, { overflow: "reject" });
+}
+
+// ── Epoch and Date inputs ───────────────────────────────────
+
+/** How `.epoch()` and `.fromDate()` turn an instant into this type. */
+interface InstantProjection {
+    /** Whether a time zone is needed to read the wall clock. */
+    zoned: boolean;
+    project: (instant: Temporal.Instant, timeZone: string) => unknown;
+}
+
+interface InstantSettings {
+    timeZone?: string;
+}
+
+const EPOCH_UNITS: Record<string, number> = {
+    seconds: 1e9,
+    milliseconds: 1e6,
+    microseconds: 1e3,
+    nanoseconds: 1,
+};
+
+const projectVia = (fn: (zdt: Temporal.ZonedDateTime) => unknown): InstantProjection => ({
+    zoned: true,
+    project: (instant, timeZone) => fn(instant.toZonedDateTimeISO(timeZone)),
+});
+
+/** Epoch numbers may be fractional; bigints must be whole units. */
+function fromEpoch(value: number | bigint, unit: string): Temporal.Instant {
+    const scale = EPOCH_UNITS[unit];
+    if (typeof value === "bigint") return Temporal.Instant.fromEpochNanoseconds(value * BigInt(scale));
+    const whole = Math.trunc(value);
+    const fraction = Math.round((value - whole) * scale);
+    return Temporal.Instant.fromEpochNanoseconds(BigInt(whole) * BigInt(scale) + BigInt(fraction));
+}
+
+/** Reads an epoch number or `Date` the schema opted into; throws if it is invalid or out of range. */
+function readInstant(value: unknown, schema: any): { instant: Temporal.Instant; timeZone?: string } | undefined {
+    const epoch = schema.$_getFlag("epoch");
+    if (epoch && (typeof value === "number" || typeof value === "bigint")) {
+        return { instant: fromEpoch(value, epoch.unit), timeZone: epoch.timeZone };
+    }
+    const fromDate = schema.$_getFlag("fromDate");
+    if (fromDate && value instanceof Date) {
+        // Some polyfills map an Invalid Date to the epoch instead of throwing.
+        if (Number.isNaN(value.getTime())) throw new RangeError("Invalid Date");
+        return { instant: (value as LegacyDate).toTemporalInstant(), timeZone: fromDate.timeZone };
+    }
+    return undefined;
+}
+
+/** `Date.prototype.toTemporalInstant()` ships with Temporal but isn't in TypeScript's lib yet. */
+type LegacyDate = Date & { toTemporalInstant(): Temporal.Instant };
+
+// ── Units ───────────────────────────────────────────────────
+
+/** Duration fields, largest first. */
+const UNITS = [
+    "years",
+    "months",
+    "weeks",
+    "days",
+    "hours",
+    "minutes",
+    "seconds",
+    "milliseconds",
+    "microseconds",
+    "nanoseconds",
+] as const;
+
+type Unit = (typeof UNITS)[number];
+
+const DATE_UNITS: readonly Unit[] = UNITS.slice(0, 4);
+
+/** Units whose length depends on the date they are counted from. */
+const CALENDAR_UNITS: readonly Unit[] = UNITS.slice(0, 3);
+
+/** Accepts singular or plural unit names (`"hour"`, `"hours"`), like Temporal does. */
+function toUnit(v: unknown): Unit | undefined {
+    if (typeof v !== "string") return undefined;
+    return UNITS.find((u) => u === v || u === `${v}s`);
+}
+
+/** The non-zero fields of `d`, largest first. */
+function unitsOf(d: Temporal.Duration): Unit[] {
+    return UNITS.filter((u) => d[u] !== 0);
+}
+
+const ROUNDING_MODES = [
+    "ceil",
+    "floor",
+    "expand",
+    "trunc",
+    "halfCeil",
+    "halfFloor",
+    "halfExpand",
+    "halfTrunc",
+    "halfEven",
+];
+
+/** Units a time of day can be rounded to, hours down. */
+const TIME_UNITS: readonly Unit[] = UNITS.slice(4);
+
+/** Temporal's `round()` options use singular unit names. */
+function toTimeUnit(v: unknown): string | undefined {
+    const unit = toUnit(v);
+    return unit && TIME_UNITS.includes(unit) ? unit.slice(0, -1) : undefined;
+}
+
+interface RoundOptions {
+    smallestUnit: string;
+    roundingMode?: string;
+    roundingIncrement?: number;
+}
+
+function isRoundOptions(v: unknown): boolean {
+    if (typeof v !== "object" || v === null) return false;
+    const { smallestUnit, roundingMode } = v as RoundOptions;
+    if (!toTimeUnit(smallestUnit)) return false;
+    if (roundingMode !== undefined && !ROUNDING_MODES.includes(roundingMode)) return false;
+    try {
+        // Rejects increments that don't divide the next larger unit.
+        new Temporal.PlainTime().round(v as Temporal.RoundTo<"hour">);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// ── Steps ───────────────────────────────────────────────────
+
+/**
+ * Maps values onto a line of nanoseconds so `.step()` can check alignment with
+ * plain integer arithmetic, and maps rounded offsets back.
+ */
+interface StepConfig {
+    /** Parses a `{ anchor }` setting; throws if invalid. */
+    anchor: (v: unknown) => unknown;
+    offset: (value: any, anchor: any, ctx: CompareContext) => bigint;
+    fromOffset: (value: any, anchor: any, offset: bigint, ctx: CompareContext) => unknown;
+}
+
+interface StepSettings {
+    /** Where steps are counted from; defaults to midnight, the epoch or zero. */
+    anchor?: unknown;
+    /** Round to a step instead of failing: `true` for nearest, or `"floor"` / `"ceil"`. */
+    round?: boolean | StepRounding;
+}
+
+type StepRounding = "halfExpand" | "floor" | "ceil";
+
+const DEFAULT_STEP = "{{#label}} must be aligned to a {#step} step";
+
+const NS_PER_UNIT: [keyof Temporal.Duration & string, bigint][] = [
+    ["days", 86_400_000_000_000n],
+    ["hours", 3_600_000_000_000n],
+    ["minutes", 60_000_000_000n],
+    ["seconds", 1_000_000_000n],
+    ["milliseconds", 1_000_000n],
+    ["microseconds", 1_000n],
+    ["nanoseconds", 1n],
+];
+
+/** Exact length of a duration without years, months or weeks; days count as 24 hours. */
+function toNanoseconds(d: Temporal.Duration): bigint {
+    return NS_PER_UNIT.reduce((total, [unit, ns]) => total + BigInt(d[unit] as number) * ns, 0n);
+}
+
+function fromNanoseconds(ns: bigint): Temporal.Duration {
+    return Temporal.Duration.from({
+        seconds: Number(ns / 1_000_000_000n),
+        nanoseconds: Number(ns % 1_000_000_000n),
+    });
+}
+
+function isStepIncrement(v: unknown): boolean {
+    try {
+        const d = Temporal.Duration.from(v as string);
+        return d.sign > 0 && d.years === 0 && d.months === 0 && d.weeks === 0;
+    } catch {
+        return false;
+    }
+}
+
+/** Rounds `offset` to a multiple of `size`, counting forward from the anchor. */
+function roundOffset(offset: bigint, size: bigint, mode: StepRounding): bigint {
+    const remainder = ((offset % size) + size) % size;
+    const floor = offset - remainder;
+    if (remainder === 0n || mode === "floor") return floor;
+    if (mode === "ceil" || remainder * 2n >= size) return floor + size;
+    return floor;
+}
+
+const utcNanoseconds = (dt: Temporal.PlainDateTime) => dt.toZonedDateTime("UTC").epochNanoseconds;
+
+/** Anchors for date-times: a time of day (steps restart daily) or a fixed date-time. */
+function parseWallClockAnchor(v: unknown): Temporal.PlainTime | Temporal.PlainDateTime {
+    if (v instanceof Temporal.PlainTime || v instanceof Temporal.PlainDateTime) return v;
+    if (typeof v !== "string") throw new TypeError("anchor must be a time or date-time");
+    return /^\d{2}:/.test(v) ? Temporal.PlainTime.from(v) : Temporal.PlainDateTime.from(v);
+}
+
+function wallClockBase(value: Temporal.PlainDateTime, anchor?: Temporal.PlainTime | Temporal.PlainDateTime) {
+    return anchor instanceof Temporal.PlainDateTime ? anchor : value.toPlainDate().toPlainDateTime(anchor);
+}
+
+const WALL_CLOCK_STEP: StepConfig = {
+    anchor: parseWallClockAnchor,
+    offset: (v: Temporal.PlainDateTime, anchor) => utcNanoseconds(v) - utcNanoseconds(wallClockBase(v, anchor)),
+    fromOffset: (v: Temporal.PlainDateTime, anchor, offset) =>
+        Temporal.Instant.fromEpochNanoseconds(utcNanoseconds(wallClockBase(v, anchor)) + offset)
+            .toZonedDateTimeISO("UTC")
+            .toPlainDateTime()
+            .withCalendar(v.calendarId),
+};
+
+// ── Exclusions ──────────────────────────────────────────────
+
+interface ZoneSettings {
+    /** Zone exact times are read in: an IANA id or a `Joi.ref`. */
+    timeZone?: unknown;
+}
+
+type ExclusionPredicate = (date: Temporal.PlainDate, value: unknown) => boolean;
+
+/**
+ * One `.exclude()` entry: a date, a recurring month-day, a whole year-month
+ * (as Temporal values or ISO strings), an inclusive `{ from, to }` date
+ * range, or a predicate.
+ */
+type Exclusion =
+    | Temporal.PlainDate
+    | Temporal.PlainMonthDay
+    | Temporal.PlainYearMonth
+    | string
+    | { from: Temporal.PlainDate | string; to: Temporal.PlainDate | string }
+    | ExclusionPredicate;
+
+function toPlainDate(v: unknown): Temporal.PlainDate | undefined {
+    try {
+        return Temporal.PlainDate.from(v as string);
+    } catch {
+        return undefined;
+    }
+}
+
+/** `"2024-12-25"` is a date, `"2024-12"` a year-month and `"12-25"` a month-day. */
+function parseExclusion(text: string): unknown {
+    for (const type of [Temporal.PlainDate, Temporal.PlainYearMonth, Temporal.PlainMonthDay]) {
+        try {
+            return type.from(text);
+        } catch {
+            // try the next, less specific type
+        }
+    }
+    return undefined;
+}
+
+/** A test for one ISO-calendar date, or `undefined` if `entry` isn't a valid exclusion. */
+function toExclusion(entry: unknown): ExclusionPredicate | undefined {
+    if (typeof entry === "function") return entry as ExclusionPredicate;
+    if (isPlainObject(entry) && "from" in entry && "to" in entry) {
+        const from = toPlainDate(entry.from);
+        const to = toPlainDate(entry.to);
+        if (!from || !to || Temporal.PlainDate.compare(from, to) > 0) return undefined;
+        return (date) => Temporal.PlainDate.compare(date, from) >= 0 && Temporal.PlainDate.compare(date, to) <= 0;
+    }
+    const value = typeof entry === "string" ? parseExclusion(entry) : entry;
+    if (value instanceof Temporal.PlainDate) return (date) => date.equals(value);
+    if (value instanceof Temporal.PlainYearMonth) return (date) => date.toPlainYearMonth().equals(value);
+    if (value instanceof Temporal.PlainMonthDay) return (date) => date.toPlainMonthDay().equals(value);
+    return undefined;
+}
+
+const isExclusionList = (v: unknown) =>
+    typeof v === "function" || (Array.isArray(v) && v.every((entry) => toExclusion(entry) !== undefined));
+
 // ── Factory ─────────────────────────────────────────────────
 
-function makeExtension(config: TypeConfig): Joi.ExtensionFactory {
+function makeExtension(config: TypeConfig, options: Options): Joi.ExtensionFactory {
     const p = `temporal.${config.name}`;
 
     return (joi: Joi.Root) => {
         const messages: Record<string, string> = {
             [`${p}.base`]: config.baseMessage,
+            [`${p}.format`]: "{{#label}} must be in the format {#format}",
         };
         const rules: Record<string, any> = {};
 
         if (config.compare) {
             const msgs = { ...DEFAULT_COMPARE, ...config.compareMessages };
+            const limitArg = {
+                name: "limit",
+                ref: true,
+                assert: (v: unknown) => isLimit(config, v),
+                message: config.wraps ? "must be a string or Temporal instance" : "must be a string, Temporal instance or relative limit",
+            };
+            const isLimitSettings = (v: any) => v === undefined || (typeof v === "object" && v !== null
+                && (v.timeZone === undefined || isTimeZone(v.timeZone) || joi.isRef(v.timeZone))
+                && [v.add, v.subtract].every((d) => d === undefined || (!config.wraps && isDurationLike(d))));
+            const settingsMessage = config.wraps
+                ? "must be an object with a valid timeZone (limits can't be shifted)"
+                : "must be an object with a valid timeZone, add and subtract";
+
+            /** Resolves a rule's limit, shifted by `add`/`subtract`; fails with `any.ref` for a bad referenced timeZone. */
+            const resolveTarget = (
+                limit: unknown,
+                settings: LimitSettings,
+                value: unknown,
+                helpers: any,
+                resolve = (target: unknown, ctx: CompareContext) => resolveLimit(config, target, value, ctx),
+            ) => {
+                const timeZone = resolveOption(settings.timeZone, value, helpers);
+                if (timeZone !== undefined && !isTimeZone(timeZone)) {
+                    return { error: helpers.error("any.ref", { arg: "timeZone", ref: settings.timeZone, reason: "is not a valid time zone" }) };
+                }
+                const now = () => localNow(helpers, options, timeZone);
+                const shifted = settings.add === undefined && settings.subtract === undefined
+                    ? limit
+                    : { from: limit, add: settings.add, subtract: settings.subtract };
+                try {
+                    return { resolved: resolve(shifted, { now, helpers }), now, timeZone: timeZone as string | undefined };
+                } catch (err) {
+                    if (err instanceof RuleError) return { error: helpers.error(err.code, err.local) };
+                    throw err;
+                }
+            };
 
             for (const [rule, check] of CHECKS) {
                 messages[`${p}.${rule}`] = msgs[rule as keyof typeof msgs];
                 rules[rule] = {
-                    method(this: any, limit: unknown) {
-                        return this.$_addRule({ name: rule, args: { limit } });
-                    },
-                    args: [{ name: "limit", ref: true, assert: (v: unknown) => typeof v === "string" || config.check(v), message: "must be a string or Temporal instance" }],
-                    validate(value: unknown, helpers: any, { limit }: { limit: unknown }) {
-                        const resolved =
-                            limit === "now" && config.now
-                                ? config.now()
-                                : typeof limit === "string"
-                                  ? config.parse(limit)
-                                  : limit;
-                        if (!check(config.compare!(value, resolved))) {
+                    method(this: any, limit: unknown, settings?: LimitSettings) {
+                        const obj = this.$_addRule({ name: rule, args: { limit, settings } });
+                        if (joi.isRef(settings?.timeZone)) obj.$_mutateRegister(settings.timeZone);
+                        return obj;
+                    },
+                    args: [limitArg, { name: "settings", assert: isLimitSettings, message: settingsMessage }],
+                    validate(value: unknown, helpers: any, { limit, settings = {} }: { limit: unknown; settings?: LimitSettings }) {
+                        const { error, resolved, now } = resolveTarget(limit, settings, value, helpers);
+                        if (error) return error;
+                        let comparison: number;
+                        try {
+                            comparison = config.compare!(value, resolved, { now: now!, helpers });
+                        } catch (err) {
+                            if (err instanceof RuleError) return helpers.error(err.code, err.local);
+                            throw err;
+                        }
+                        if (!check(comparison)) {
                             return helpers.error(`${p}.${rule}`, { limit: String(resolved) });
                         }
                         return value;
@@ -74,12 +892,394 @@ function makeExtension(config: TypeConfig): Joi.ExtensionFactory {
                 };
             }
 
-            rules.gte = { method(this: any, limit: unknown) { return this.min(limit); } };
-            rules.lte = { method(this: any, limit: unknown) { return this.max(limit); } };
+            rules.gte = { method(this: any, limit: unknown, settings?: LimitSettings) { return this.min(limit, settings); } };
+            rules.lte = { method(this: any, limit: unknown, settings?: LimitSettings) { return this.max(limit, settings); } };
+
+            if (!config.wraps) {
+                messages[`${p}.within`] = "{{#label}} must be between {#min} and {#max}";
+                rules.within = {
+                    method(this: any, limit: unknown, duration: unknown, settings?: WithinSettings) {
+                        const obj = this.$_addRule({ name: "within", args: { limit, duration, settings } });
+                        if (joi.isRef(settings?.timeZone)) obj.$_mutateRegister(settings.timeZone);
+                        return obj;
+                    },
+                    args: [
+                        limitArg,
+                        {
+                            name: "duration",
+                            assert: (v: unknown) => isDurationLike(v) && Temporal.Duration.from(v as string).sign >= 0,
+                            message: "must be a non-negative duration",
+                        },
+                        {
+                            name: "settings",
+                            assert: (v: any) => isLimitSettings(v) && [undefined, "before", "after", "both"].includes(v?.direction),
+                            message: `${settingsMessage}, and a direction of "before", "after" or "both"`,
+                        },
+                    ],
+                    validate(value: unknown, helpers: any, { limit, duration, settings = {} }: { limit: unknown; duration: string; settings?: WithinSettings }) {
+                        const { error, resolved, now } = resolveTarget(limit, settings, value, helpers);
+                        if (error) return error;
+                        const direction = settings.direction ?? "both";
+                        let min: unknown, max: unknown, inside: boolean;
+                        try {
+                            min = direction === "after" ? resolved : resolveLimit(config, { from: resolved, subtract: duration }, value, { now: now!, helpers });
+                            max = direction === "before" ? resolved : resolveLimit(config, { from: resolved, add: duration }, value, { now: now!, helpers });
+                            inside = config.compare!(value, min, { now: now!, helpers }) >= 0 && config.compare!(value, max, { now: now!, helpers }) <= 0;
+                        } catch (err) {
+                            if (err instanceof RuleError) return helpers.error(err.code, err.local);
+                            throw err;
+                        }
+                        if (!inside) {
+                            return helpers.error(`${p}.within`, { limit: String(resolved), duration: Temporal.Duration.from(duration).toString(), direction, min: String(min), max: String(max) });
+                        }
+                        return value;
+                    },
+                };
+            }
+
+            if (config.calendarDay) {
+                const calendarDay = config.calendarDay;
+                const dayConfig = (v: unknown) => types.find((c) => c.calendarDay && c.check(v));
+                /** Resolves a limit as the type it parses as, shifting it with that type's rules. */
+                const resolveDay = (limit: unknown, value: unknown, ctx: CompareContext): unknown => {
+                    if (!isRelativeLimit(limit)) return resolveLimit(config, parseDayLimit(limit), value, ctx);
+                    const from = resolveDay(limit.from, value, ctx);
+                    const fromConfig = dayConfig(from);
+                    return fromConfig && resolveLimit(fromConfig, { ...limit, from }, value, ctx);
+                };
+                const isDayLimit = (v: unknown): boolean =>
+                    isRelativeLimit(v)
+                        ? isDayLimit(v.from) && [v.add, v.subtract].every((d) => d === undefined || isDurationLike(d))
+                        : parseDayLimit(v) !== undefined && (typeof v === "string" || !!dayConfig(v));
+                messages[`${p}.sameDay`] = "{{#label}} must be on the same day as {#limit}";
+                rules.sameDayAs = {
+                    method(this: any, limit: unknown, settings?: LimitSettings) {
+                        const obj = this.$_addRule({ name: "sameDayAs", args: { limit, settings } });
+                        if (joi.isRef(settings?.timeZone)) obj.$_mutateRegister(settings.timeZone);
+                        return obj;
+                    },
+                    args: [
+                        { ...limitArg, assert: isDayLimit, message: "must be a date, date-time, zoned date-time or instant, as a string, Temporal instance or relative limit" },
+                        { name: "settings", assert: isLimitSettings, message: settingsMessage },
+                    ],
+                    validate(value: unknown, helpers: any, { limit, settings = {} }: { limit: unknown; settings?: LimitSettings }) {
+                        const { error, resolved, timeZone } = resolveTarget(limit, settings, value, helpers, (target, ctx) => resolveDay(target, value, ctx));
+                        if (error) return error;
+                        const day = calendarDay(value, timeZone);
+                        const limitDay = dayConfig(resolved)!.calendarDay!(resolved, timeZone);
+                        if (!day.equals(limitDay)) return helpers.error(`${p}.sameDay`, { limit: limitDay.toString() });
+                        return value;
+                    },
+                };
+            }
+        }
+
+        if (config.calendarDay) {
+            const calendarDay = config.calendarDay;
+            const zoneArg = {
+                name: "settings",
+                assert: (v: any) => v === undefined || (typeof v === "object" && v !== null && (v.timeZone === undefined || isTimeZone(v.timeZone) || joi.isRef(v.timeZone))),
+                message: "must be an object with a valid timeZone",
+            };
+            /** The value's calendar date in `settings.timeZone`, or the `any.ref` error for a bad referenced zone. */
+            const readDay = (value: unknown, settings: ZoneSettings, helpers: any) => {
+                const timeZone = resolveOption(settings.timeZone, value, helpers);
+                if (timeZone !== undefined && !isTimeZone(timeZone)) {
+                    return { error: helpers.error("any.ref", { arg: "timeZone", ref: settings.timeZone, reason: "is not a valid time zone" }) };
+                }
+                return { day: calendarDay(value, timeZone) };
+            };
+
+            messages[`${p}.dayOfWeek`] = "{{#label}} must fall on {#days} (found {#day})";
+            rules.daysOfWeek = {
+                method(this: any, days: number[], settings?: ZoneSettings) {
+                    const obj = this.$_addRule({ name: "daysOfWeek", args: { days, settings } });
+                    if (joi.isRef(settings?.timeZone)) obj.$_mutateRegister(settings.timeZone);
+                    return obj;
+                },
+                args: [
+                    {
+                        name: "days",
+                        assert: (v: unknown) => Array.isArray(v) && v.length > 0 && v.every((day) => Number.isInteger(day) && day >= 1 && day <= 7),
+                        message: "must be a non-empty array of ISO weekdays (1 = Monday … 7 = Sunday)",
+                    },
+                    zoneArg,
+                ],
+                validate(value: unknown, helpers: any, { days, settings = {} }: { days: number[]; settings?: ZoneSettings }) {
+                    const { error, day } = readDay(value, settings, helpers);
+                    if (error) return error;
+                    if (!days.includes(day!.dayOfWeek)) {
+                        const names = days.map((d) => DAY_NAMES[d - 1]);
+                        const list = names.length > 1 ? `${names.slice(0, -1).join(", ")} or ${names.at(-1)}` : names[0];
+                        return helpers.error(`${p}.dayOfWeek`, { days: list, day: DAY_NAMES[day!.dayOfWeek - 1] });
+                    }
+                    return value;
+                },
+            };
+            rules.weekday = { method(this: any, settings?: ZoneSettings) { return this.daysOfWeek([1, 2, 3, 4, 5], settings); } };
+            rules.weekend = { method(this: any, settings?: ZoneSettings) { return this.daysOfWeek([6, 7], settings); } };
+
+            messages[`${p}.excluded`] = "{{#label}} must not fall on an excluded date (found {#date})";
+            rules.exclude = {
+                method(this: any, exclusions: Exclusion[] | ExclusionPredicate, settings?: ZoneSettings) {
+                    const obj = this.$_addRule({ name: "exclude", args: { exclusions, settings } });
+                    if (joi.isRef(settings?.timeZone)) obj.$_mutateRegister(settings.timeZone);
+                    return obj;
+                },
+                args: [
+                    {
+                        name: "exclusions",
+                        ref: true,
+                        assert: isExclusionList,
+                        message: "must be a predicate or an array of dates, month-days, year-months, { from, to } ranges and predicates",
+                    },
+                    zoneArg,
+                ],
+                validate(value: unknown, helpers: any, { exclusions, settings = {} }: { exclusions: Exclusion[] | ExclusionPredicate; settings?: ZoneSettings }) {
+                    const { error, day } = readDay(value, settings, helpers);
+                    if (error) return error;
+                    const date = day!.withCalendar("iso8601");
+                    const tests = typeof exclusions === "function" ? [exclusions] : exclusions.map((entry) => toExclusion(entry)!);
+                    if (tests.some((test) => test(date, value))) return helpers.error(`${p}.excluded`, { date: date.toString() });
+                    return value;
+                },
+            };
+        }
+
+        if (config.step) {
+            const step = config.step;
+            messages[`${p}.step`] = config.stepMessage ?? DEFAULT_STEP;
+            rules.step = {
+                method(this: any, increment: unknown, settings?: StepSettings) {
+                    return this.$_addRule({ name: "step", args: { increment, settings } });
+                },
+                alias: "multipleOf",
+                args: [
+                    { name: "increment", assert: isStepIncrement, message: "must be a positive duration without years, months or weeks" },
+                    {
+                        name: "settings",
+                        assert: (v: any) => {
+                            if (v === undefined) return true;
+                            if (typeof v !== "object" || v === null) return false;
+                            if (![undefined, true, false, "halfExpand", "floor", "ceil"].includes(v.round)) return false;
+                            try {
+                                if (v.anchor !== undefined) step.anchor(v.anchor);
+                                return true;
+                            } catch {
+                                return false;
+                            }
+                        },
+                        message: "must be an object with a valid anchor and round mode",
+                    },
+                ],
+                validate(value: unknown, helpers: any, { increment, settings = {} }: { increment: unknown; settings?: StepSettings }) {
+                    const ctx = { now: () => localNow(helpers, options), helpers };
+                    const size = toNanoseconds(Temporal.Duration.from(increment as string));
+                    const anchor = settings.anchor === undefined ? undefined : step.anchor(settings.anchor);
+                    let offset: bigint;
+                    try {
+                        offset = step.offset(value, anchor, ctx);
+                    } catch (err) {
+                        if (err instanceof RuleError) return helpers.error(err.code, err.local);
+                        throw err;
+                    }
+                    if (offset % size === 0n) return value;
+                    if (settings.round && helpers.prefs.convert) {
+                        const mode = settings.round === true ? "halfExpand" : settings.round;
+                        return step.fromOffset(value, anchor, roundOffset(offset, size, mode), ctx);
+                    }
+                    return helpers.error(`${p}.step`, {
+                        step: Temporal.Duration.from(increment as string).toString(),
+                        anchor: settings.anchor === undefined ? undefined : String(anchor),
+                    });
+                },
+            };
+        }
+
+        const casts: Record<string, { from: (v: unknown) => boolean; to: (v: any, helpers: any) => unknown }> = {
+            iso: { from: config.check, to: (v, helpers) => v.toString(helpers.schema.$_getFlag("outputOptions")) },
+        };
+        if (config.exact) {
+            casts.epochMilliseconds = { from: config.check, to: (v) => v.epochMilliseconds };
+            casts.epochNanoseconds = { from: config.check, to: (v) => v.epochNanoseconds };
+            casts.date = { from: config.check, to: (v) => new Date(v.epochMilliseconds) };
+        }
+        // A value to try `toString()` options on; only durations have no instant projection.
+        const sample = () => config.instant?.project(Temporal.Instant.fromEpochMilliseconds(0), "UTC") ?? new Temporal.Duration();
+        rules.output = {
+            method(this: any, mode: string, options?: Record<string, unknown>) {
+                if (mode === "temporal") return this.cast(false).$_setFlag("outputOptions", undefined);
+                if (!Object.hasOwn(casts, mode)) {
+                    throw new Error(`${config.name} output must be one of temporal, ${Object.keys(casts).join(", ")}`);
+                }
+                if (options !== undefined) {
+                    if (mode !== "iso") throw new Error("only iso output takes toString options");
+                    (sample() as any).toString(options);
+                }
+                return this.cast(mode).$_setFlag("outputOptions", options);
+            },
+        };
+
+        if (config.calendar) {
+            const { convert, unconvertible } = config.calendar;
+            messages[`${p}.calendar`] = "{{#label}} must use the {#calendars} calendar (found {#calendar})";
+            rules.calendar = {
+                method(this: any, calendars: string | string[]) {
+                    return this.$_addRule({ name: "calendar", args: { calendars } });
+                },
+                args: [
+                    {
+                        name: "calendars",
+                        normalize: (v: unknown) => (Array.isArray(v) ? v : [v]).map((id) => toCalendar(id) ?? id),
+                        assert: (v: unknown[]) => v.length > 0 && v.every((id) => toCalendar(id) === id),
+                        message: "must be a calendar id or a non-empty array of them",
+                    },
+                ],
+                validate(value: any, helpers: any, { calendars }: { calendars: string[] }) {
+                    if (!calendars.includes(value.calendarId)) {
+                        return helpers.error(`${p}.calendar`, { calendars: calendars.join(" or "), calendar: value.calendarId });
+                    }
+                    return value;
+                },
+            };
+            rules.withCalendar = {
+                method(this: any, calendar: string) {
+                    if (!convert) throw new Error(`${config.name} can't change calendar: ${unconvertible}`);
+                    return this.$_addRule({ name: "withCalendar", args: { calendar } });
+                },
+                args: [
+                    {
+                        name: "calendar",
+                        normalize: (v: unknown) => toCalendar(v) ?? v,
+                        assert: (v: unknown) => toCalendar(v) === v,
+                        message: "must be a calendar id",
+                    },
+                ],
+                validate(value: any, helpers: any, { calendar }: { calendar: string }) {
+                    if (value.calendarId === calendar) return value;
+                    if (helpers.prefs.convert) return convert!(value, calendar);
+                    return helpers.error(`${p}.calendar`, { calendars: calendar, calendar: value.calendarId });
+                },
+            };
+        }
+
+        rules.lenient = {
+            method(this: any, enabled = true) {
+                return this.$_setFlag("lenient", enabled);
+            },
+        };
+
+        if (config.roundable) {
+            messages[`${p}.precision`] = "{{#label}} must have at most {#unit} precision";
+            messages[`${p}.round`] = "{{#label}} must be rounded to {#rounded}";
+            rules.precision = {
+                method(this: any, unit: string) {
+                    return this.$_addRule({ name: "precision", args: { unit } });
+                },
+                args: [
+                    {
+                        name: "unit",
+                        normalize: (v: unknown) => toTimeUnit(v) ?? v,
+                        assert: (v: unknown) => toTimeUnit(v) !== undefined,
+                        message: "must be a time unit from hour to nanosecond",
+                    },
+                ],
+                validate(value: any, helpers: any, { unit }: { unit: string }) {
+                    if (!value.equals(value.round({ smallestUnit: unit, roundingMode: "trunc" }))) {
+                        return helpers.error(`${p}.precision`, { unit });
+                    }
+                    return value;
+                },
+            };
+            rules.round = {
+                method(this: any, options: RoundOptions | string) {
+                    return this.$_addRule({ name: "round", args: { options } });
+                },
+                args: [
+                    {
+                        name: "options",
+                        normalize: (v: unknown) => (typeof v === "string" ? { smallestUnit: v } : v),
+                        assert: isRoundOptions,
+                        message: "must set a time smallestUnit, and a valid roundingMode and roundingIncrement",
+                    },
+                ],
+                validate(value: any, helpers: any, { options }: { options: RoundOptions }) {
+                    const rounded = value.round(options);
+                    if (helpers.prefs.convert) return rounded;
+                    if (!value.equals(rounded)) return helpers.error(`${p}.round`, { rounded: String(rounded) });
+                    return value;
+                },
+            };
+        }
+
+        if (config.bag) {
+            messages[`${p}.unknownField`] = "{{#label}} must not include field {#field}";
+            messages[`${p}.missingField`] = "{{#label}} must include {#fields}";
+            messages[`${p}.overflow`] = "{{#label}} has a field out of range";
+            rules.propertyBag = {
+                method(this: any, enabled = true) {
+                    return this.$_setFlag("propertyBag", enabled);
+                },
+            };
+            rules.overflow = {
+                method(this: any, mode: Overflow) {
+                    if (mode !== "reject" && mode !== "constrain") throw new Error('overflow must be "reject" or "constrain"');
+                    return this.$_setFlag("overflow", mode);
+                },
+            };
+        }
+
+        if (config.fromPreset || config.patterns) {
+            const bag = config.bag!;
+            if (config.fromPreset) messages[`${p}.overflow`] = "{{#label}} has a field out of range";
+            rules.format = {
+                method(this: any, patterns: string | string[]) {
+                    const list = [patterns].flat();
+                    if (list.length === 0) throw new Error("format needs at least one pattern");
+                    for (const pattern of list) {
+                        if (typeof pattern !== "string") throw new Error("format patterns must be strings");
+                        if (Object.hasOwn(PRESETS, pattern) && config.fromPreset) continue;
+                        if (!config.patterns) throw new Error(`format must be one of ${Object.keys(PRESETS).join(", ")}`);
+                        if (Object.hasOwn(PRESETS, pattern)) throw new Error(`format ${pattern} is only available for instant and zonedDateTime`);
+                        const problem = checkBag(bag, compilePattern(pattern).fields);
+                        if (problem) {
+                            throw new Error(`pattern ${pattern} doesn't fit ${config.name}: ${Object.values(problem[1])[0]} is ${problem[0] === "unknownField" ? "not a field" : "missing"}`);
+                        }
+                    }
+                    return this.$_setFlag("format", list);
+                },
+            };
+        }
+
+        if (config.instant) {
+            const { zoned } = config.instant;
+            const assertSettings = (settings: InstantSettings) => {
+                if (settings.timeZone === undefined ? zoned : !isTimeZone(settings.timeZone)) {
+                    throw new Error(`${config.name} needs a valid timeZone to read epoch and Date inputs`);
+                }
+            };
+            rules.epoch = {
+                method(this: any, unit: string, settings: InstantSettings = {}) {
+                    if (!(unit in EPOCH_UNITS)) throw new Error(`epoch unit must be one of ${Object.keys(EPOCH_UNITS).join(", ")}`);
+                    assertSettings(settings);
+                    return this.$_setFlag("epoch", { unit, ...settings });
+                },
+            };
+            rules.fromDate = {
+                method(this: any, settings: InstantSettings = {}) {
+                    assertSettings(settings);
+                    return this.$_setFlag("fromDate", { ...settings });
+                },
+            };
         }
 
         if (config.extraMessages) Object.assign(messages, config.extraMessages);
-        if (config.extraRules) Object.assign(rules, config.extraRules);
+        // Joi annotates rule definitions in place, so every extension needs its own copies.
+        const extraRules: Record<string, object> | undefined =
+            typeof config.extraRules === "function"
+                ? config.extraRules({ now: (helpers) => localNow(helpers, options) })
+                : config.extraRules;
+        for (const [name, rule] of Object.entries(extraRules ?? {})) rules[name] = { ...rule };
 
         return {
             type: config.name,
@@ -87,11 +1287,53 @@ function makeExtension(config: TypeConfig): Joi.ExtensionFactory {
             messages,
             coerce(value: unknown, helpers: any) {
                 if (value == null || config.check(value)) return { value };
+                const options: Temporal.ZonedDateTimeAssignmentOptions = {
+                    overflow: helpers.schema.$_getFlag("overflow") ?? "reject",
+                    disambiguation: helpers.schema.$_getFlag("disambiguation"),
+                    offset: helpers.schema.$_getFlag("offset"),
+                };
+                if (config.bag && isPlainObject(value) && helpers.schema.$_getFlag("propertyBag")) {
+                    const problem = checkBag(config.bag, value);
+                    if (problem) return { errors: helpers.error(`${p}.${problem[0]}`, problem[1]) };
+                    try {
+                        return { value: config.parse(value, options) };
+                    } catch (err) {
+                        const failure = config.parseFailure?.(value, options);
+                        if (failure) return { errors: helpers.error(`${p}.${failure[0]}`, failure[1]) };
+                        return { errors: helpers.error(err instanceof RangeError ? `${p}.overflow` : `${p}.base`) };
+                    }
+                }
+                if (config.instant) {
+                    try {
+                        const input = readInstant(value, helpers.schema);
+                        if (input) return { value: config.instant.project(input.instant, input.timeZone!) };
+                    } catch {
+                        return { errors: helpers.error(`${p}.base`) };
+                    }
+                }
                 if (typeof value !== "string") return { errors: helpers.error(`${p}.base`) };
+                const patterns: string[] | undefined = helpers.schema.$_getFlag("format");
+                if (patterns) {
+                    for (const pattern of patterns) {
+                        let parsed;
+                        try {
+                            parsed = parseFormat(config, pattern, value);
+                        } catch {
+                            return { errors: helpers.error(`${p}.overflow`) };
+                        }
+                        if (parsed !== undefined) return { value: parsed };
+                    }
+                    return { errors: helpers.error(`${p}.format`, { format: patterns.join(" or ") }) };
+                }
+                const text = helpers.schema.$_getFlag("lenient") ? normalizeLenient(value) : value;
+                if (helpers.schema.$_getFlag("strict") && !config.canonical.pattern.test(text)) {
+                    return { errors: helpers.error(`${p}.format`, { format: config.canonical.format }) };
+                }
                 try {
-                    return { value: config.parse(value) };
+                    return { value: config.parse(text, options) };
                 } catch {
-                    return { errors: helpers.error(`${p}.base`) };
+                    const failure = config.parseFailure?.(text, options);
+                    return { errors: failure ? helpers.error(`${p}.${failure[0]}`, failure[1]) : helpers.error(`${p}.base`) };
                 }
             },
             validate(value: unknown, helpers: any) {
@@ -99,76 +1341,391 @@ function makeExtension(config: TypeConfig): Joi.ExtensionFactory {
                 return { value };
             },
             rules,
+            cast: casts,
+            overrides: {
+                // Joi's `.strict()` turns off conversion, which would reject every
+                // string; here it narrows which strings are converted instead.
+                strict(this: any, enabled = true) {
+                    return this.$_setFlag("strict", enabled);
+                },
+            },
         };
     };
 }
 
+// ── Duration ────────────────────────────────────────────────
+
+/** Normalizes a `relativeTo` value to what `Temporal.Duration` accepts, or `undefined` if invalid. */
+function toRelativeTo(v: unknown): Temporal.PlainDate | Temporal.ZonedDateTime | undefined {
+    if (v instanceof Temporal.PlainDate || v instanceof Temporal.ZonedDateTime) return v;
+    if (v instanceof Temporal.PlainDateTime) return v.toPlainDate();
+    if (typeof v !== "string") return undefined;
+    try {
+        return v.includes("[") ? Temporal.ZonedDateTime.from(v) : Temporal.PlainDate.from(v);
+    } catch {
+        return undefined;
+    }
+}
+
+const unitArg = (name: string) => ({
+    name,
+    normalize: (v: unknown) => toUnit(v) ?? v,
+    assert: (v: unknown) => toUnit(v) !== undefined,
+    message: "must be a duration unit",
+});
+
+/** Folds calendar units into hours, so the duration has an exact length. */
+function balanceToHours(d: Temporal.Duration, relativeTo?: Temporal.PlainDate | Temporal.ZonedDateTime) {
+    return relativeTo && hasCalendarUnits(d) ? d.round({ largestUnit: "hours", relativeTo }) : d;
+}
+
+function hasCalendarUnits(d: Temporal.Duration): boolean {
+    return d.years !== 0 || d.months !== 0 || d.weeks !== 0;
+}
+
+interface NormalizeOptions {
+    largestUnit?: string;
+    smallestUnit?: string;
+    roundingMode?: string;
+}
+
+function isNormalizeOptions(v: unknown): boolean {
+    if (typeof v !== "object" || v === null) return false;
+    const { largestUnit, smallestUnit, roundingMode } = v as NormalizeOptions;
+    if (largestUnit === undefined && smallestUnit === undefined) return false;
+    if (largestUnit !== undefined && largestUnit !== "auto" && !toUnit(largestUnit)) return false;
+    if (smallestUnit !== undefined && !toUnit(smallestUnit)) return false;
+    if (roundingMode !== undefined && !ROUNDING_MODES.includes(roundingMode)) return false;
+    const largest = toUnit(largestUnit);
+    const smallest = toUnit(smallestUnit);
+    return !largest || !smallest || UNITS.indexOf(largest) <= UNITS.indexOf(smallest);
+}
+
+/**
+ * The `relativeTo` for comparing or rounding durations: the schema's
+ * `.relativeTo()` (resolving references), else today's date when `calendar`
+ * units are involved — unless `.requireRelativeTo()` forbids the fallback.
+ */
+function relativeToFor(
+    calendar: boolean,
+    value: unknown,
+    now: () => Temporal.ZonedDateTime,
+    helpers: any,
+): Temporal.PlainDate | Temporal.ZonedDateTime | undefined {
+    const flag = helpers.schema.$_getFlag("relativeTo");
+    const resolved = resolveOption(flag, value, helpers);
+    if (resolved != null) {
+        const relativeTo = toRelativeTo(resolved);
+        if (!relativeTo) {
+            throw new RuleError("any.ref", { arg: "relativeTo", ref: flag, reason: "is not a valid date" });
+        }
+        return relativeTo;
+    }
+
+    if (!calendar) return undefined;
+    if (helpers.schema.$_getFlag("requireRelativeTo")) throw new RuleError("temporal.duration.relativeTo");
+    return now().toPlainDate();
+}
+
+/**
+ * Adds durations for `{ from, add }` limits. Calendar units need a date to
+ * count from, so both are added onto `relativeTo` and measured back from it.
+ */
+function shiftDuration(v: Temporal.Duration, d: Temporal.Duration, { now, helpers }: CompareContext): Temporal.Duration {
+    if (!hasCalendarUnits(v) && !hasCalendarUnits(d)) return v.add(d);
+    const relativeTo = relativeToFor(true, v, now, helpers)!;
+    const largestUnit = UNITS.find((u) => v[u] !== 0 || d[u] !== 0)!;
+    if (relativeTo instanceof Temporal.ZonedDateTime) return relativeTo.until(relativeTo.add(v).add(d), { largestUnit });
+    const start = relativeTo.toPlainDateTime();
+    return start.until(start.add(v).add(d), { largestUnit });
+}
+
+// ── Time zones ──────────────────────────────────────────────
+
+const EPOCH = Temporal.Instant.fromEpochMilliseconds(0);
+
+/** Compares zone ids as Temporal does, so aliases like `Asia/Calcutta` and `Asia/Kolkata` match. */
+function sameTimeZone(a: string, b: string): boolean {
+    return EPOCH.toZonedDateTimeISO(a).equals(EPOCH.toZonedDateTimeISO(b));
+}
+
+const isTimeZoneList = (v: unknown) =>
+    isTimeZone(v) || (Array.isArray(v) && v.length > 0 && v.every((tz) => isTimeZone(tz)));
+
+/** Fixed-offset zone ids look like `+05:00`; everything else is an IANA name. */
+const isOffsetTimeZone = (id: string) => /^[+-]/.test(id);
+
+const UTC_OFFSET = /^([+-])(\d{2}):?(\d{2})$/;
+
+/** `"+05:30"` / `"+0530"` → nanoseconds, or `undefined` if malformed. */
+function parseOffset(v: unknown): number | undefined {
+    const match = typeof v === "string" ? UTC_OFFSET.exec(v) : null;
+    if (!match || Number(match[2]) > 23 || Number(match[3]) > 59) return undefined;
+    return (match[1] === "-" ? -1 : 1) * (Number(match[2]) * 3600 + Number(match[3]) * 60) * 1e9;
+}
+
+const DISAMBIGUATIONS = ["compatible", "earlier", "later", "reject"];
+const OFFSET_MODES = ["use", "prefer", "ignore", "reject"];
+
+/**
+ * Explains a `ZonedDateTime.from()` failure on an otherwise valid input:
+ * an offset that `"reject"` refuses, or a wall-clock time that falls in a
+ * DST gap or overlap under `disambiguation: "reject"`.
+ */
+function zonedParseFailure(input: any, options: Temporal.ZonedDateTimeAssignmentOptions): ParseFailure | undefined {
+    let loose: Temporal.ZonedDateTime;
+    try {
+        loose = Temporal.ZonedDateTime.from(input, { ...options, offset: "ignore", disambiguation: "compatible" });
+    } catch {
+        return undefined;
+    }
+    const timezone = loose.timeZoneId;
+    try {
+        Temporal.ZonedDateTime.from(input, { ...options, disambiguation: "compatible" });
+    } catch {
+        return ["offsetMismatch", { timezone }];
+    }
+    const wallClock = Temporal.PlainDateTime.from(input, { overflow: options.overflow });
+    const earlier = wallClock.toZonedDateTime(timezone, { disambiguation: "earlier" });
+    // In a gap the earlier candidate lands on a different wall-clock time.
+    const code = earlier.toPlainDateTime().equals(wallClock) ? "ambiguous" : "nonexistent";
+    return [code, { timezone, dateTime: wallClock.toString() }];
+}
+
+// ── Month-days ──────────────────────────────────────────────
+
+/** Orders month-days within a leap year, so February 29 has a place. */
+const inLeapYear = (md: Temporal.PlainMonthDay) => md.toPlainDate({ year: 1972 });
+
+/** An ISO-calendar month-day, as a string or `PlainMonthDay`. */
+function isMonthDay(v: unknown): boolean {
+    if (v instanceof Temporal.PlainMonthDay) return v.calendarId === "iso8601";
+    if (typeof v !== "string") return false;
+    try {
+        return Temporal.PlainMonthDay.from(v).calendarId === "iso8601";
+    } catch {
+        return false;
+    }
+}
+
+/** A year number, or the `year` of a date-like value such as a `PlainDate` or `PlainYearMonth`. */
+function toYear(v: unknown): number | undefined {
+    if (Number.isInteger(v)) return v as number;
+    const year = typeof v === "object" && v !== null ? (v as { year?: unknown }).year : undefined;
+    return Number.isInteger(year) ? (year as number) : undefined;
+}
+
+/** The month-day's date in `year`, or `undefined` if it doesn't exist there (February 29 outside leap years). */
+function monthDayIn(md: Temporal.PlainMonthDay, year: number): Temporal.PlainDate | undefined {
+    const date = md.toPlainDate({ year });
+    return date.day === md.day ? date : undefined;
+}
+
+const yearArg = { name: "year", ref: true, assert: (v: unknown) => toYear(v) !== undefined, message: "must be a year or have a year" };
+
 // ── Types ───────────────────────────────────────────────────
 
-const extensions = [
-    makeExtension({
+const types: TypeConfig[] = [
+    {
         name: "plainDate",
         check: (v) => v instanceof Temporal.PlainDate,
-        parse: (v) => Temporal.PlainDate.from(v),
+        parse: (v, options) => Temporal.PlainDate.from(v, options),
+        canonical: canonical(ISO_DATE, "YYYY-MM-DD"),
+        calendar: { convert: (v: Temporal.PlainDate, calendar) => v.withCalendar(calendar) },
+        bag: { fields: DATE_FIELDS, required: [YEAR_FIELD, MONTH_FIELD, ["day"]] },
+        instant: projectVia((zdt) => zdt.toPlainDate()),
+        patterns: true,
         compare: (a, b) => Temporal.PlainDate.compare(a, b),
-        now: () => Temporal.Now.plainDateISO(),
+        now: (now) => now.toPlainDate(),
+        calendarDay: (v: Temporal.PlainDate) => v,
         baseMessage: "{{#label}} must be a valid ISO 8601 date string or Temporal.PlainDate",
-    }),
-    makeExtension({
+    },
+    {
         name: "plainTime",
         check: (v) => v instanceof Temporal.PlainTime,
-        parse: (v) => Temporal.PlainTime.from(v),
+        parse: (v, options) => Temporal.PlainTime.from(v, options),
+        canonical: canonical(ISO_TIME, "HH:mm[:ss[.fffffffff]]"),
+        bag: { fields: TIME_FIELDS, required: [TIME_FIELDS] },
+        instant: projectVia((zdt) => zdt.toPlainTime()),
+        patterns: true,
         compare: (a, b) => Temporal.PlainTime.compare(a, b),
-        now: () => Temporal.Now.plainTimeISO(),
+        now: (now) => now.toPlainTime(),
+        // "10:00" + PT20H is 06:00 the next day, which a bare time can't tell apart from 06:00 today.
+        wraps: true,
+        step: {
+            anchor: (v) => Temporal.PlainTime.from(v as string),
+            offset: (v: Temporal.PlainTime, anchor = new Temporal.PlainTime()) => toNanoseconds(v.since(anchor)),
+            fromOffset: (_v, anchor = new Temporal.PlainTime(), offset) => anchor.add(fromNanoseconds(offset)),
+        },
+        roundable: true,
         baseMessage: "{{#label}} must be a valid ISO 8601 time string or Temporal.PlainTime",
-    }),
-    makeExtension({
+    },
+    {
         name: "plainDateTime",
         check: (v) => v instanceof Temporal.PlainDateTime,
-        parse: (v) => Temporal.PlainDateTime.from(v),
+        parse: (v, options) => Temporal.PlainDateTime.from(v, options),
+        canonical: canonical(`${ISO_DATE}T${ISO_TIME}`, "YYYY-MM-DDTHH:mm[:ss[.fffffffff]]"),
+        calendar: { convert: (v: Temporal.PlainDateTime, calendar) => v.withCalendar(calendar) },
+        bag: { fields: [...DATE_FIELDS, ...TIME_FIELDS], required: [YEAR_FIELD, MONTH_FIELD, ["day"]] },
+        instant: projectVia((zdt) => zdt.toPlainDateTime()),
+        patterns: true,
         compare: (a, b) => Temporal.PlainDateTime.compare(a, b),
-        now: () => Temporal.Now.plainDateTimeISO(),
+        now: (now) => now.toPlainDateTime(),
+        calendarDay: (v: Temporal.PlainDateTime) => v.toPlainDate(),
+        step: WALL_CLOCK_STEP,
+        roundable: true,
         baseMessage:
             "{{#label}} must be a valid ISO 8601 date-time string or Temporal.PlainDateTime",
-    }),
-    makeExtension({
+    },
+    {
         name: "zonedDateTime",
         check: (v) => v instanceof Temporal.ZonedDateTime,
-        parse: (v) => Temporal.ZonedDateTime.from(v),
+        parse: (v, options) => Temporal.ZonedDateTime.from(v, options),
+        parseFailure: zonedParseFailure,
+        canonical: canonical(String.raw`${ISO_DATE}T${ISO_TIME}${ISO_OFFSET}\[[^=!\]]+\]`, "YYYY-MM-DDTHH:mm[:ss[.fffffffff]]±HH:mm[Time/Zone]"),
+        calendar: { convert: (v: Temporal.ZonedDateTime, calendar) => v.withCalendar(calendar) },
+        bag: {
+            fields: [...DATE_FIELDS, ...TIME_FIELDS, "timeZone", "offset"],
+            required: [YEAR_FIELD, MONTH_FIELD, ["day"], ["timeZone"]],
+        },
+        instant: projectVia((zdt) => zdt),
+        fromPreset: (dateTime, timeZone) => dateTime.toZonedDateTime(timeZone),
+        exact: true,
         compare: (a, b) => Temporal.ZonedDateTime.compare(a, b),
+        now: (now, value: Temporal.ZonedDateTime) => now.withTimeZone(value.timeZoneId),
+        calendarDay: (v: Temporal.ZonedDateTime, timeZone) => (timeZone ? v.withTimeZone(timeZone) : v).toPlainDate(),
+        // Steps follow the wall clock, so "PT15M" means :00/:15/:30/:45 in any offset.
+        step: {
+            anchor: WALL_CLOCK_STEP.anchor,
+            offset: (v: Temporal.ZonedDateTime, anchor, ctx) => WALL_CLOCK_STEP.offset(v.toPlainDateTime(), anchor, ctx),
+            fromOffset: (v: Temporal.ZonedDateTime, anchor, offset, ctx) =>
+                (WALL_CLOCK_STEP.fromOffset(v.toPlainDateTime(), anchor, offset, ctx) as Temporal.PlainDateTime)
+                    .toZonedDateTime(v.timeZoneId),
+        },
+        roundable: true,
         baseMessage:
             "{{#label}} must be a valid ISO 8601 date-time string with timezone or Temporal.ZonedDateTime",
         extraMessages: {
             "temporal.zonedDateTime.timezone": "{{#label}} must be in timezone {#timezone}",
+            "temporal.zonedDateTime.timezoneKind":
+                "{{#label}} must use a time zone of kind {#kind} (found {#timezone})",
+            "temporal.zonedDateTime.offset":
+                "{{#label}} must have a UTC offset between {#min} and {#max} (found {#offset})",
+            "temporal.zonedDateTime.nonexistent": "{{#label}} is a wall-clock time that does not exist in {#timezone}",
+            "temporal.zonedDateTime.ambiguous": "{{#label}} is a wall-clock time that occurs twice in {#timezone}",
+            "temporal.zonedDateTime.offsetMismatch": "{{#label}} has a UTC offset that does not match {#timezone}",
         },
         extraRules: {
             timezone: {
-                method(this: any, tz: string) {
+                method(this: any, tz: string | string[]) {
                     return this.$_addRule({ name: "timezone", args: { tz } });
                 },
-                validate(value: Temporal.ZonedDateTime, helpers: any, { tz }: { tz: string }) {
-                    if (value.timeZoneId !== tz) {
-                        return helpers.error("temporal.zonedDateTime.timezone", { timezone: tz });
+                args: [
+                    {
+                        name: "tz",
+                        ref: true,
+                        assert: isTimeZoneList,
+                        message: "must be a time zone id or a non-empty array of them",
+                    },
+                ],
+                validate(value: Temporal.ZonedDateTime, helpers: any, { tz }: { tz: string | string[] }) {
+                    const allowed = [tz].flat();
+                    if (!allowed.some((id) => sameTimeZone(value.timeZoneId, id))) {
+                        return helpers.error("temporal.zonedDateTime.timezone", { timezone: allowed.join(" or ") });
+                    }
+                    return value;
+                },
+            },
+            timezoneKind: {
+                method(this: any, kind: "iana" | "offset") {
+                    return this.$_addRule({ name: "timezoneKind", args: { kind } });
+                },
+                args: [{ name: "kind", assert: (v: unknown) => v === "iana" || v === "offset", message: 'must be "iana" or "offset"' }],
+                validate(value: Temporal.ZonedDateTime, helpers: any, { kind }: { kind: string }) {
+                    if (isOffsetTimeZone(value.timeZoneId) !== (kind === "offset")) {
+                        return helpers.error("temporal.zonedDateTime.timezoneKind", { kind, timezone: value.timeZoneId });
+                    }
+                    return value;
+                },
+            },
+            disambiguation: {
+                method(this: any, mode: Temporal.ToInstantOptions["disambiguation"]) {
+                    if (!DISAMBIGUATIONS.includes(mode!)) {
+                        throw new Error('disambiguation must be "compatible", "earlier", "later" or "reject"');
+                    }
+                    return this.$_setFlag("disambiguation", mode);
+                },
+            },
+            offset: {
+                // One argument is the `from()` offset option; two bound the value's UTC offset.
+                method(this: any, min: string, max?: string) {
+                    if (max === undefined) {
+                        if (!OFFSET_MODES.includes(min)) {
+                            throw new Error('offset must be "use", "prefer", "ignore" or "reject", or a min and max offset');
+                        }
+                        return this.$_setFlag("offset", min);
+                    }
+                    const obj = this.$_addRule({ name: "offset", args: { min, max } });
+                    if (parseOffset(min)! > parseOffset(max)!) throw new Error("offset min must not be greater than max");
+                    return obj;
+                },
+                args: [
+                    { name: "min", assert: (v: unknown) => parseOffset(v) !== undefined, message: "must be a UTC offset like +05:30" },
+                    { name: "max", assert: (v: unknown) => parseOffset(v) !== undefined, message: "must be a UTC offset like +05:30" },
+                ],
+                validate(value: Temporal.ZonedDateTime, helpers: any, { min, max }: { min: string; max: string }) {
+                    if (value.offsetNanoseconds < parseOffset(min)! || value.offsetNanoseconds > parseOffset(max)!) {
+                        return helpers.error("temporal.zonedDateTime.offset", { min, max, offset: value.offset });
                     }
                     return value;
                 },
             },
         },
-    }),
-    makeExtension({
+    },
+    {
         name: "instant",
         check: (v) => v instanceof Temporal.Instant,
         parse: (v) => Temporal.Instant.from(v),
+        canonical: canonical(`${ISO_DATE}T${ISO_TIME}${ISO_OFFSET}`, "YYYY-MM-DDTHH:mm[:ss[.fffffffff]]Z"),
+        instant: { zoned: false, project: (instant) => instant },
+        fromPreset: (dateTime, timeZone) => dateTime.toZonedDateTime(timeZone).toInstant(),
+        exact: true,
         compare: (a, b) => Temporal.Instant.compare(a, b),
+        now: (now) => now.toInstant(),
+        // Instants have no calendar; days and larger units are counted in UTC.
+        shift: (v: Temporal.Instant, d) => v.toZonedDateTimeISO("UTC").add(d).toInstant(),
+        calendarDay: (v: Temporal.Instant, timeZone = "UTC") => v.toZonedDateTimeISO(timeZone).toPlainDate(),
+        step: {
+            anchor: (v) => Temporal.Instant.from(v as string),
+            offset: (v: Temporal.Instant, anchor?: Temporal.Instant) => v.epochNanoseconds - (anchor?.epochNanoseconds ?? 0n),
+            fromOffset: (_v, anchor: Temporal.Instant | undefined, offset) =>
+                Temporal.Instant.fromEpochNanoseconds((anchor?.epochNanoseconds ?? 0n) + offset),
+        },
+        roundable: true,
         baseMessage:
             "{{#label}} must be a valid ISO 8601 string with offset or Temporal.Instant",
-    }),
-    makeExtension({
+    },
+    {
         name: "duration",
         check: (v) => v instanceof Temporal.Duration,
         parse: (v) => Temporal.Duration.from(v),
-        compare: (a, b) =>
-            Temporal.Duration.compare(a, b, { relativeTo: Temporal.Now.plainDateISO() }),
+        canonical: canonical(String.raw`-?P(?!$)(?:\d+Y)?(?:\d+M)?(?:\d+W)?(?:\d+D)?(?:T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+(?:\.\d{1,9})?S)?)?`, "PnYnMnWnDTnHnMnS"),
+        bag: { fields: UNITS, required: [UNITS] },
+        compare: (a, b, { now, helpers }) =>
+            Temporal.Duration.compare(a, b, { relativeTo: relativeToFor([a, b].some(hasCalendarUnits), a, now, helpers) }),
+        shift: shiftDuration,
+        step: {
+            anchor: (v) => Temporal.Duration.from(v as string),
+            offset: (v: Temporal.Duration, anchor: Temporal.Duration | undefined, { now, helpers }) =>
+                toNanoseconds(balanceToHours(v, relativeToFor(hasCalendarUnits(v), v, now, helpers))) -
+                toNanoseconds(anchor ?? new Temporal.Duration()),
+            fromOffset: (v: Temporal.Duration, anchor: Temporal.Duration | undefined, offset, { now, helpers }) =>
+                fromNanoseconds(offset + toNanoseconds(anchor ?? new Temporal.Duration())).round({
+                    largestUnit: unitsOf(v)[0] ?? "nanoseconds",
+                    relativeTo: relativeToFor(hasCalendarUnits(v), v, now, helpers),
+                }),
+        },
+        stepMessage: "{{#label}} must be a multiple of {#step}",
         compareMessages: {
             min: "{{#label}} must be at least {#limit}",
             max: "{{#label}} must be at most {#limit}",
@@ -181,8 +1738,87 @@ const extensions = [
             "temporal.duration.positive": "{{#label}} must be a positive duration",
             "temporal.duration.negative": "{{#label}} must be a negative duration",
             "temporal.duration.nonzero": "{{#label}} must not be zero",
+            "temporal.duration.relativeTo":
+                "{{#label}} cannot be compared using calendar units without a relativeTo date",
+            "temporal.duration.units": "{{#label}} must only use {#units} (found {#unit})",
+            "temporal.duration.timeOnly": "{{#label}} must not contain date units (found {#unit})",
+            "temporal.duration.dateOnly": "{{#label}} must not contain time units (found {#unit})",
+            "temporal.duration.largestUnit":
+                "{{#label}} must not use units larger than {#limit} (found {#unit})",
+            "temporal.duration.smallestUnit":
+                "{{#label}} must not use units smaller than {#limit} (found {#unit})",
+            "temporal.duration.normalize": "{{#label}} must be in normalized form {#normalized}",
         },
-        extraRules: {
+        extraRules: ({ now }) => ({
+            relativeTo: {
+                method(this: any, relativeTo: unknown) {
+                    if (!this.$_root.isRef(relativeTo) && !toRelativeTo(relativeTo)) {
+                        throw new Error("relativeTo must be a date, date-time or zoned date-time, or a reference");
+                    }
+                    return this.$_setFlag("relativeTo", relativeTo);
+                },
+            },
+            requireRelativeTo: {
+                method(this: any, enabled = true) {
+                    return this.$_setFlag("requireRelativeTo", enabled);
+                },
+            },
+            units: {
+                method(this: any, units: string[]) {
+                    return this.$_addRule({ name: "units", args: { units } });
+                },
+                args: [
+                    {
+                        name: "units",
+                        normalize: (v: unknown) => (Array.isArray(v) ? v.map((u) => toUnit(u) ?? u) : v),
+                        assert: (v: unknown) => Array.isArray(v) && v.length > 0 && v.every((u) => toUnit(u)),
+                        message: "must be a non-empty array of duration units",
+                    },
+                ],
+                validate(value: Temporal.Duration, helpers: any, { units }: { units: Unit[] }) {
+                    const unit = unitsOf(value).find((u) => !units.includes(u));
+                    if (unit) return helpers.error("temporal.duration.units", { unit, units });
+                    return value;
+                },
+            },
+            timeOnly: {
+                method(this: any) { return this.$_addRule("timeOnly"); },
+                validate(value: Temporal.Duration, helpers: any) {
+                    const unit = unitsOf(value).find((u) => DATE_UNITS.includes(u));
+                    if (unit) return helpers.error("temporal.duration.timeOnly", { unit });
+                    return value;
+                },
+            },
+            dateOnly: {
+                method(this: any) { return this.$_addRule("dateOnly"); },
+                validate(value: Temporal.Duration, helpers: any) {
+                    const unit = unitsOf(value).find((u) => !DATE_UNITS.includes(u));
+                    if (unit) return helpers.error("temporal.duration.dateOnly", { unit });
+                    return value;
+                },
+            },
+            largestUnit: {
+                method(this: any, limit: string) {
+                    return this.$_addRule({ name: "largestUnit", args: { limit } });
+                },
+                args: [unitArg("limit")],
+                validate(value: Temporal.Duration, helpers: any, { limit }: { limit: Unit }) {
+                    const unit = unitsOf(value).find((u) => UNITS.indexOf(u) < UNITS.indexOf(limit));
+                    if (unit) return helpers.error("temporal.duration.largestUnit", { unit, limit });
+                    return value;
+                },
+            },
+            smallestUnit: {
+                method(this: any, limit: string) {
+                    return this.$_addRule({ name: "smallestUnit", args: { limit } });
+                },
+                args: [unitArg("limit")],
+                validate(value: Temporal.Duration, helpers: any, { limit }: { limit: Unit }) {
+                    const unit = unitsOf(value).find((u) => UNITS.indexOf(u) > UNITS.indexOf(limit));
+                    if (unit) return helpers.error("temporal.duration.smallestUnit", { unit, limit });
+                    return value;
+                },
+            },
             positive: {
                 method(this: any) { return this.$_addRule("positive"); },
                 validate(value: Temporal.Duration, helpers: any) {
@@ -204,23 +1840,358 @@ const extensions = [
                     return value;
                 },
             },
-        },
-    }),
-    makeExtension({
+            normalize: {
+                method(this: any, options: NormalizeOptions) {
+                    return this.$_addRule({ name: "normalize", args: { options } });
+                },
+                args: [
+                    {
+                        name: "options",
+                        assert: isNormalizeOptions,
+                        message: "must set largestUnit or smallestUnit (largest first) and a valid roundingMode",
+                    },
+                ],
+                validate(value: Temporal.Duration, helpers: any, { options }: { options: NormalizeOptions }) {
+                    const largest = toUnit(options.largestUnit);
+                    const calendar = hasCalendarUnits(value) || (!!largest && CALENDAR_UNITS.includes(largest));
+                    let relativeTo;
+                    try {
+                        relativeTo = relativeToFor(calendar, value, () => now(helpers), helpers);
+                    } catch (err) {
+                        if (err instanceof RuleError) return helpers.error(err.code, err.local);
+                        throw err;
+                    }
+                    const normalized = value.round({ ...options, relativeTo } as Temporal.DurationRoundTo);
+                    if (helpers.prefs.convert) return normalized;
+                    if (normalized.toString() !== value.toString()) {
+                        return helpers.error("temporal.duration.normalize", { normalized: normalized.toString() });
+                    }
+                    return value;
+                },
+            },
+        }),
+    },
+    {
         name: "plainYearMonth",
         check: (v) => v instanceof Temporal.PlainYearMonth,
-        parse: (v) => Temporal.PlainYearMonth.from(v),
+        parse: (v, options) => Temporal.PlainYearMonth.from(v, options),
+        canonical: canonical(String.raw`(?:\d{4}|[+-]\d{6})-\d{2}`, "YYYY-MM"),
+        calendar: { unconvertible: "its months don't line up with another calendar's" },
+        bag: { fields: DATE_FIELDS.filter((f) => f !== "day"), required: [YEAR_FIELD, MONTH_FIELD] },
+        instant: projectVia((zdt) => zdt.toPlainDate().toPlainYearMonth()),
+        patterns: true,
         compare: (a, b) => Temporal.PlainYearMonth.compare(a, b),
+        now: (now) => now.toPlainDate().toPlainYearMonth(),
         baseMessage:
             "{{#label}} must be a valid ISO 8601 year-month string or Temporal.PlainYearMonth",
-    }),
-    makeExtension({
+    },
+    {
         name: "plainMonthDay",
         check: (v) => v instanceof Temporal.PlainMonthDay,
-        parse: (v) => Temporal.PlainMonthDay.from(v),
+        parse: (v, options) => Temporal.PlainMonthDay.from(v, options),
+        canonical: canonical(String.raw`\d{2}-\d{2}`, "MM-DD"),
+        calendar: { unconvertible: "its values fall on different dates each year" },
+        bag: { fields: DATE_FIELDS, required: [MONTH_FIELD, ["day"]] },
+        instant: projectVia((zdt) => zdt.toPlainDate().toPlainMonthDay()),
+        patterns: true,
         baseMessage:
             "{{#label}} must be a valid ISO 8601 month-day string or Temporal.PlainMonthDay",
-    }),
+        extraMessages: {
+            "temporal.plainMonthDay.between": "{{#label}} must be between {#start} and {#end}",
+            "temporal.plainMonthDay.leapDay": "{{#label}} must not be February 29",
+            "temporal.plainMonthDay.validIn": "{{#label}} does not exist in {#year}",
+        },
+        extraRules: {
+            between: {
+                method(this: any, start: unknown, end: unknown) {
+                    return this.$_addRule({ name: "between", args: { start, end } });
+                },
+                args: [
+                    { name: "start", ref: true, assert: isMonthDay, message: "must be an ISO month-day" },
+                    { name: "end", ref: true, assert: isMonthDay, message: "must be an ISO month-day" },
+                ],
+                validate(value: Temporal.PlainMonthDay, helpers: any, args: { start: unknown; end: unknown }) {
+                    // Other calendars' months don't line up with ISO ones, so the bounds can't be compared.
+                    if (value.calendarId !== "iso8601") {
+                        return helpers.error("temporal.plainMonthDay.calendar", { calendars: "iso8601", calendar: value.calendarId });
+                    }
+                    const start = Temporal.PlainMonthDay.from(args.start as string);
+                    const end = Temporal.PlainMonthDay.from(args.end as string);
+                    const [from, to, day] = [start, end, value].map(inLeapYear);
+                    const afterStart = Temporal.PlainDate.compare(day, from) >= 0;
+                    const beforeEnd = Temporal.PlainDate.compare(day, to) <= 0;
+                    // A start after the end wraps around the new year, e.g. 11-15 to 02-15.
+                    const inside = Temporal.PlainDate.compare(from, to) <= 0 ? afterStart && beforeEnd : afterStart || beforeEnd;
+                    if (!inside) return helpers.error("temporal.plainMonthDay.between", { start: start.toString(), end: end.toString() });
+                    return value;
+                },
+            },
+            notLeapDay: {
+                method(this: any) { return this.$_addRule("notLeapDay"); },
+                validate(value: Temporal.PlainMonthDay, helpers: any) {
+                    // February 29 is an ISO date; M02 is a different month in other calendars.
+                    if (value.calendarId === "iso8601" && value.monthCode === "M02" && value.day === 29) {
+                        return helpers.error("temporal.plainMonthDay.leapDay");
+                    }
+                    return value;
+                },
+            },
+            validIn: {
+                method(this: any, year: unknown) {
+                    return this.$_addRule({ name: "validIn", args: { year } });
+                },
+                args: [yearArg],
+                validate(value: Temporal.PlainMonthDay, helpers: any, { year }: { year: unknown }) {
+                    if (!monthDayIn(value, toYear(year)!)) return helpers.error("temporal.plainMonthDay.validIn", { year: toYear(year) });
+                    return value;
+                },
+            },
+            toPlainDate: {
+                method(this: any, year: unknown) {
+                    return this.$_addRule({ name: "toPlainDate", args: { year } });
+                },
+                args: [yearArg],
+                // Without `convert` this only checks that the date exists.
+                validate(value: Temporal.PlainMonthDay, helpers: any, { year }: { year: unknown }) {
+                    const date = monthDayIn(value, toYear(year)!);
+                    if (!date) return helpers.error("temporal.plainMonthDay.validIn", { year: toYear(year) });
+                    return helpers.prefs.convert ? date : value;
+                },
+            },
+        },
+    },
 ];
 
-export default extensions;
+// ── Time zone type ──────────────────────────────────────────
+
+/**
+ * ICU resolves aliases to its own canonical names, some of which IANA has
+ * since renamed. These map them to the current names.
+ */
+const RENAMED_TIME_ZONES: Record<string, string> = {
+    "Africa/Asmera": "Africa/Asmara",
+    "America/Buenos_Aires": "America/Argentina/Buenos_Aires",
+    "America/Catamarca": "America/Argentina/Catamarca",
+    "America/Coral_Harbour": "America/Atikokan",
+    "America/Cordoba": "America/Argentina/Cordoba",
+    "America/Godthab": "America/Nuuk",
+    "America/Indianapolis": "America/Indiana/Indianapolis",
+    "America/Jujuy": "America/Argentina/Jujuy",
+    "America/Louisville": "America/Kentucky/Louisville",
+    "America/Mendoza": "America/Argentina/Mendoza",
+    "Asia/Calcutta": "Asia/Kolkata",
+    "Asia/Katmandu": "Asia/Kathmandu",
+    "Asia/Rangoon": "Asia/Yangon",
+    "Asia/Saigon": "Asia/Ho_Chi_Minh",
+    "Atlantic/Faeroe": "Atlantic/Faroe",
+    "Europe/Kiev": "Europe/Kyiv",
+    "Pacific/Enderbury": "Pacific/Kanton",
+    "Pacific/Ponape": "Pacific/Pohnpei",
+    "Pacific/Truk": "Pacific/Chuuk",
+};
+
+/**
+ * The canonical id for a zone: offsets become `±HH:mm`, and names resolve
+ * case and aliases to the current IANA name (`"us/eastern"` → `"America/New_York"`,
+ * `"Asia/Calcutta"` → `"Asia/Kolkata"`).
+ */
+function canonicalTimeZone(id: string): string {
+    const zone = EPOCH.toZonedDateTimeISO(id).timeZoneId;
+    if (isOffsetTimeZone(zone)) return zone;
+    const resolved = new Intl.DateTimeFormat("en", { timeZone: zone }).resolvedOptions().timeZone;
+    return RENAMED_TIME_ZONES[resolved] ?? resolved;
+}
+
+/** `Etc/GMT+5` and its kin are fixed offsets under an IANA name (with the sign inverted). */
+const isEtcOffset = (zone: string) => /^Etc\/GMT[+-]\d{1,2}$/.test(zone);
+
+const isRegionList = (v: unknown) =>
+    typeof v === "string" || (Array.isArray(v) && v.length > 0 && v.every((region) => typeof region === "string"));
+
+/** `timeZone()` validates a zone id rather than a Temporal value, so it doesn't go through `makeExtension`. */
+function makeTimeZoneExtension(): Joi.ExtensionFactory {
+    const p = "temporal.timeZone";
+
+    return (joi: Joi.Root) => ({
+        type: "timeZone",
+        base: joi.any(),
+        messages: {
+            [`${p}.base`]: "{{#label}} must be a valid IANA time zone name or UTC offset",
+            [`${p}.offset`]: "{{#label}} must not be a fixed UTC offset",
+            [`${p}.utc`]: "{{#label}} must not be UTC",
+            [`${p}.regions`]: "{{#label}} must be in region {#regions} (found {#timezone})",
+        },
+        coerce(value: unknown) {
+            return { value: isTimeZone(value) ? canonicalTimeZone(value) : value };
+        },
+        validate(value: unknown, helpers: any) {
+            if (!isTimeZone(value)) return { value, errors: helpers.error(`${p}.base`) };
+            const zone = canonicalTimeZone(value);
+            if (helpers.schema.$_getFlag("offsets") === false && (isOffsetTimeZone(zone) || isEtcOffset(zone))) {
+                return { value, errors: helpers.error(`${p}.offset`) };
+            }
+            if (helpers.schema.$_getFlag("utc") === false && zone === "UTC") {
+                return { value, errors: helpers.error(`${p}.utc`) };
+            }
+            return { value };
+        },
+        rules: {
+            offsets: {
+                method(this: any, allowed = true) {
+                    return this.$_setFlag("offsets", allowed);
+                },
+            },
+            utc: {
+                method(this: any, allowed = true) {
+                    return this.$_setFlag("utc", allowed);
+                },
+            },
+            regions: {
+                method(this: any, regions: string | string[]) {
+                    return this.$_addRule({ name: "regions", args: { regions } });
+                },
+                args: [{ name: "regions", assert: isRegionList, message: "must be a region name or a non-empty array of them" }],
+                validate(value: string, helpers: any, { regions }: { regions: string | string[] }) {
+                    const allowed = [regions].flat();
+                    // Offsets and "UTC" have no "/" and so no region.
+                    const zone = canonicalTimeZone(value);
+                    if (!zone.includes("/") || !allowed.includes(zone.split("/")[0])) {
+                        return helpers.error(`${p}.regions`, { regions: allowed.join(" or "), timezone: value });
+                    }
+                    return value;
+                },
+            },
+        },
+    });
+}
+
+// ── Ranges ──────────────────────────────────────────────────
+
+interface RangeSettings {
+    minLength?: Temporal.DurationLike | string;
+    maxLength?: Temporal.DurationLike | string;
+    /** Whether neighbouring fields may be equal; defaults to `true`. */
+    allowEqual?: boolean;
+}
+
+/** The shortest month in a common year and the longest in a leap year, so calendar lengths are compared at both extremes. */
+const LENGTH_ANCHORS = [new Temporal.PlainDate(2023, 2, 1), new Temporal.PlainDate(2024, 1, 1)];
+
+function isRangeSettings(v: unknown): boolean {
+    if (!isPlainObject(v)) return false;
+    const { minLength, maxLength, allowEqual } = v as RangeSettings;
+    if (minLength !== undefined && !isDurationLike(minLength)) return false;
+    if (maxLength !== undefined && !isDurationLike(maxLength)) return false;
+    if (allowEqual !== undefined && typeof allowEqual !== "boolean") return false;
+    if (minLength === undefined || maxLength === undefined) return true;
+    // No range can be longer than minLength yet shorter than maxLength.
+    const [min, max] = [Temporal.Duration.from(minLength), Temporal.Duration.from(maxLength)];
+    return !LENGTH_ANCHORS.every((relativeTo) => Temporal.Duration.compare(min, max, { relativeTo }) > 0);
+}
+
+/** Dates are compared as midnight date-times and zoned values as instants when mixed with those types. */
+function promote(v: unknown): unknown {
+    if (v instanceof Temporal.PlainDate) return v.toPlainDateTime();
+    if (v instanceof Temporal.ZonedDateTime) return v.toInstant();
+    return v;
+}
+
+/**
+ * Anchors calendar units when comparing a range's length: instants count days
+ * in UTC, and times have no date, so they are counted from an arbitrary one.
+ * Their days are then 24 hours, and any week, month or year outlasts them.
+ */
+function rangeRelativeTo(start: unknown): Temporal.PlainDate | Temporal.ZonedDateTime {
+    if (start instanceof Temporal.Instant) return start.toZonedDateTimeISO("UTC");
+    if (start instanceof Temporal.ZonedDateTime || start instanceof Temporal.PlainDate) return start;
+    if (start instanceof Temporal.PlainDateTime) return start.toPlainDate();
+    if (start instanceof Temporal.PlainYearMonth) return start.toPlainDate({ day: 1 });
+    return LENGTH_ANCHORS[0];
+}
+
+/** The type config two range fields are compared with, or `undefined` if they can't be ordered. */
+function rangePair(a: unknown, b: unknown): [TypeConfig, unknown, unknown] | undefined {
+    const find = (v: unknown) => types.find((config) => config.check(v));
+    let config = find(a);
+    if (!config || config !== find(b)) {
+        [a, b] = [promote(a), promote(b)];
+        config = find(a);
+        if (!config || config !== find(b)) return undefined;
+    }
+    // Durations need a relativeTo to be ordered, and month-days have no order.
+    return config.compare && config.name !== "duration" ? [config, a, b] : undefined;
+}
+
+/** Adds `.temporalRange()` to `Joi.object()`. */
+function makeRangeExtension(options: Options): Joi.ExtensionFactory {
+    const p = "temporal.range";
+
+    return (joi: Joi.Root) => ({
+        type: "object",
+        base: joi.object(),
+        messages: {
+            [`${p}.order`]: "{{#label}} must not have {#end} before {#start}",
+            [`${p}.equal`]: "{{#label}} must not have {#end} equal to {#start}",
+            [`${p}.minLength`]: "{{#label}} must span at least {#limit} from {#start} to {#end}",
+            [`${p}.maxLength`]: "{{#label}} must span at most {#limit} from {#start} to {#end}",
+            [`${p}.incomparable`]: "{{#label}} cannot order {#start} and {#end}",
+        },
+        rules: {
+            temporalRange: {
+                method(this: any, ...args: unknown[]) {
+                    const settings = isPlainObject(args.at(-1)) ? args.pop() : {};
+                    return this.$_addRule({ name: "temporalRange", args: { fields: args, settings } });
+                },
+                args: [
+                    {
+                        name: "fields",
+                        assert: (v: unknown[]) => v.length >= 2 && v.every((field) => typeof field === "string"),
+                        message: "must be at least two field names",
+                    },
+                    { name: "settings", assert: isRangeSettings, message: "must be an object with valid minLength, maxLength and allowEqual, and minLength no longer than maxLength" },
+                ],
+                validate(value: Record<string, unknown>, helpers: any, { fields, settings }: { fields: string[]; settings: RangeSettings }) {
+                    const ctx: CompareContext = { now: () => localNow(helpers, options), helpers };
+                    // Missing fields are left to the key schemas; the rest must still be in order.
+                    const present = fields.filter((field) => value[field] != null);
+                    for (let i = 1; i < present.length; i++) {
+                        const [start, end] = [present[i - 1], present[i]];
+                        const pair = rangePair(value[start], value[end]);
+                        if (!pair) return helpers.error(`${p}.incomparable`, { start, end });
+                        const order = pair[0].compare!(pair[1], pair[2], ctx);
+                        if (order > 0) return helpers.error(`${p}.order`, { start, end });
+                        if (order === 0 && settings.allowEqual === false) return helpers.error(`${p}.equal`, { start, end });
+                    }
+                    if (present.length < 2) return value;
+                    // Length is measured across the whole range, from the first field to the last.
+                    const [start, end] = [present[0], present[present.length - 1]];
+                    const [, a, b] = rangePair(value[start], value[end])!;
+                    const length = (a as any).until(b) as Temporal.Duration;
+                    const relativeTo = rangeRelativeTo(a);
+                    for (const [rule, sign] of [["minLength", -1], ["maxLength", 1]] as const) {
+                        if (settings[rule] === undefined) continue;
+                        const limit = Temporal.Duration.from(settings[rule]);
+                        if (Temporal.Duration.compare(length, limit, { relativeTo }) === sign) {
+                            return helpers.error(`${p}.${rule}`, { start, end, limit: limit.toString() });
+                        }
+                    }
+                    return value;
+                },
+            },
+        },
+    });
+}
+
+/**
+ * Builds the extension factories. Pass `clock` to control what "now" means for
+ * every schema built from them, e.g. to freeze time in tests.
+ */
+export function createExtensions(options: Options = {}): Joi.ExtensionFactory[] {
+    return [
+        ...types.map((config) => makeExtension(config, options)),
+        makeTimeZoneExtension(),
+        makeRangeExtension(options),
+    ];
+}
+
+export default createExtensions();
@@ -0,0 +1,172 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import Joi from "joi";
+import { createExtensions } from "../src/index.js";
+import { custom, expectPass, expectError } from "./helpers.js";
+
+const frozen = (iso: string) => () => Temporal.Instant.from(iso);
+
+describe("clock", () => {
+    // ── Factory option ────────────────────────────────────────
+
+    describe("createExtensions({ clock })", () => {
+        const fixed = Joi.extend(...createExtensions({ clock: frozen("2024-03-15T12:00:00Z") }));
+
+        it("should resolve 'now' from the injected clock", () => {
+            const schema = fixed.plainDate().min("now");
+            expectPass(schema, "2024-03-15");
+            expectError(schema, "2024-03-14", "temporal.plainDate.min");
+        });
+
+        it("should resolve relative expressions from the injected clock", () => {
+            const schema = fixed.plainDate().min("now-P30D");
+            const error = expectError(schema, "2024-02-01", "temporal.plainDate.min");
+            assert.equal(error.details[0].context?.limit, "2024-02-14");
+        });
+
+        it("should use the injected clock for duration relativeTo", () => {
+            // 2024-03-15 + P1M = 2024-04-15, 31 days later
+            const schema = fixed.duration().max("P1M");
+            expectPass(schema, "P31D");
+            expectError(schema, "P32D", "temporal.duration.max");
+        });
+    });
+
+    // ── Context option ────────────────────────────────────────
+
+    describe("context.clock", () => {
+        it("should take precedence over the factory clock", () => {
+            const fixed = Joi.extend(...createExtensions({ clock: frozen("2024-03-15T12:00:00Z") }));
+            const schema = fixed.plainDate().min("now");
+            const context = { clock: frozen("2030-01-01T12:00:00Z") };
+            assert.equal(schema.validate("2024-03-15").error, undefined);
+            const { error } = schema.validate("2024-03-15", { context });
+            assert.equal(error?.details[0].type, "temporal.plainDate.min");
+        });
+
+        it("should work with the default extensions", () => {
+            const schema = custom.plainDate().max("now");
+            const context = { clock: frozen("2000-01-01T12:00:00Z") };
+            const { error } = schema.validate("2000-01-02", { context });
+            assert.equal(error?.details[0].type, "temporal.plainDate.max");
+        });
+    });
+
+    // ── Time zone ─────────────────────────────────────────────
+
+    describe("time zone", () => {
+        // 20:00 UTC is already the next morning in Tokyo
+        const fixed = Joi.extend(...createExtensions({ clock: frozen("2024-03-15T20:00:00Z") }));
+
+        it("should read 'now' in the rule's timeZone", () => {
+            const schema = fixed.plainDate().min("now", { timeZone: "Asia/Tokyo" });
+            expectPass(schema, "2024-03-16");
+            expectError(schema, "2024-03-15", "temporal.plainDate.min");
+        });
+
+        it("should apply the timeZone to relative expressions", () => {
+            const schema = fixed.plainDateTime().max("now+PT1H", { timeZone: "Asia/Tokyo" });
+            expectPass(schema, "2024-03-16T06:00:00");
+            expectError(schema, "2024-03-16T06:00:01", "temporal.plainDateTime.max");
+        });
+
+        it("should apply the timeZone to plainTime", () => {
+            const schema = fixed.plainTime().max("now", { timeZone: "Asia/Tokyo" });
+            expectPass(schema, "05:00");
+            expectError(schema, "05:00:01", "temporal.plainTime.max");
+        });
+
+        it("should pass the timeZone through .gte() and .lte()", () => {
+            const schema = fixed.plainDate().gte("now", { timeZone: "Asia/Tokyo" });
+            expectError(schema, "2024-03-15", "temporal.plainDate.min");
+        });
+
+        it("should fall back to context.timeZone", () => {
+            const schema = fixed.plainDate().min("now");
+            const { error } = schema.validate("2024-03-15", { context: { timeZone: "Asia/Tokyo" } });
+            assert.equal(error?.details[0].type, "temporal.plainDate.min");
+        });
+
+        it("should prefer the rule's timeZone over context.timeZone", () => {
+            const schema = fixed.plainDate().min("now", { timeZone: "UTC" });
+            const { error } = schema.validate("2024-03-15", { context: { timeZone: "Asia/Tokyo" } });
+            assert.equal(error, undefined);
+        });
+
+        it("should resolve the timeZone from a sibling field", () => {
+            const schema = fixed.object({
+                tz: Joi.string(),
+                date: fixed.plainDate().min("now", { timeZone: Joi.ref("tz") }),
+            });
+            assert.equal(schema.validate({ tz: "UTC", date: "2024-03-15" }).error, undefined);
+            const { error } = schema.validate({ tz: "Asia/Tokyo", date: "2024-03-15" });
+            assert.equal(error?.details[0].type, "temporal.plainDate.min");
+        });
+
+        it("should fail with any.ref when the referenced timeZone is invalid", () => {
+            const schema = fixed.object({
+                tz: Joi.string(),
+                date: fixed.plainDate().min("now", { timeZone: Joi.ref("tz") }),
+            });
+            const { error } = schema.validate({ tz: "Mars/Olympus_Mons", date: "2024-03-15" });
+            assert.equal(error?.details[0].type, "any.ref");
+        });
+
+        it("should fail with any.ref when context.timeZone is invalid", () => {
+            const schema = fixed.plainDate().min("now");
+            const { error } = schema.validate("2024-03-15", { context: { timeZone: "Nope/Zone" } });
+            assert.equal(error?.details[0].type, "any.ref");
+        });
+
+        it("should reject an invalid timeZone at schema construction", () => {
+            assert.throws(() => custom.plainDate().min("now", { timeZone: "Mars/Olympus_Mons" }));
+        });
+
+        it("should show the timeZone in .describe()", () => {
+            const schema = custom.plainDate().min("now", { timeZone: Joi.ref("tz") });
+            const description = schema.describe();
+            assert.deepEqual(description.rules[0].args, {
+                limit: "now",
+                settings: { timeZone: { ref: { path: ["tz"] } } },
+            });
+        });
+    });
+
+    // ── Snapshot ──────────────────────────────────────────────
+
+    describe("snapshot", () => {
+        it("should read the clock once per validate() call", () => {
+            let calls = 0;
+            const clock = () => {
+                calls++;
+                return Temporal.Instant.from("2024-03-15T12:00:00Z").add({ hours: calls * 24 });
+            };
+            const schema = custom.object({
+                start: custom.plainDate().min("now").max("now+P1D"),
+                end: custom.plainDate().min("now"),
+                length: custom.duration().max("P1M"),
+            });
+
+            const { error } = schema.validate(
+                { start: "2024-03-16", end: "2024-03-16", length: "P1D" },
+                { context: { clock }, abortEarly: false },
+            );
+            assert.equal(error, undefined);
+            assert.equal(calls, 1);
+
+            schema.validate({ start: "2024-03-17" }, { context: { clock } });
+            assert.equal(calls, 2);
+        });
+
+        it("should not read the clock when no rule needs 'now'", () => {
+            let calls = 0;
+            const clock = () => {
+                calls++;
+                return Temporal.Now.instant();
+            };
+            const schema = custom.plainDate().min("2020-01-01");
+            schema.validate("2024-03-15", { context: { clock } });
+            assert.equal(calls, 0);
+        });
+    });
+});
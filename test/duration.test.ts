@@ -1,6 +1,7 @@
 import { describe, it } from "node:test";
 import assert from "node:assert/strict";
-import { custom, expectPass, expectError } from "./helpers.js";
+import Joi from "joi";
+import { custom, customAt, expectPass, expectError } from "./helpers.js";
 
 describe("duration", () => {
     // ── Coercion ──────────────────────────────────────────────
@@ -139,6 +140,121 @@ describe("duration", () => {
         });
     });
 
+    describe("relativeTo", () => {
+        it("should compare calendar units relative to a fixed date", () => {
+            const february = custom.duration().relativeTo("2024-02-01").max("P1M");
+            expectPass(february, "P29D");
+            expectError(february, "P30D", "temporal.duration.max");
+
+            const march = custom.duration().relativeTo("2024-03-01").max("P1M");
+            expectPass(march, "P31D");
+        });
+
+        it("should accept a PlainDate instance", () => {
+            const schema = custom.duration().relativeTo(Temporal.PlainDate.from("2023-02-01")).min("P1M");
+            expectPass(schema, "P28D");
+            expectError(schema, "P27D", "temporal.duration.min");
+        });
+
+        it("should account for DST with a zoned relativeTo", () => {
+            // New York springs forward on 2024-03-10, so that day is 23 hours long
+            const schema = custom
+                .duration()
+                .relativeTo("2024-03-10T00:00:00-05:00[America/New_York]")
+                .max("P1D");
+            expectPass(schema, "PT23H");
+            expectError(schema, "PT24H", "temporal.duration.max");
+        });
+
+        it("should resolve relativeTo from a sibling field", () => {
+            const schema = custom.object({
+                start: custom.plainDate().required(),
+                length: custom.duration().relativeTo(Joi.ref("start")).max("P1M"),
+            });
+            assert.equal(schema.validate({ start: "2024-03-01", length: "P31D" }).error, undefined);
+            const { error } = schema.validate({ start: "2024-02-01", length: "P31D" });
+            assert.equal(error?.details[0].type, "temporal.duration.max");
+        });
+
+        it("should fail with any.ref when the referenced value is not a date", () => {
+            const schema = custom.object({
+                start: Joi.string(),
+                length: custom.duration().relativeTo(Joi.ref("start")).max("P1M"),
+            });
+            const { error } = schema.validate({ start: "soon", length: "P1D" });
+            assert.equal(error?.details[0].type, "any.ref");
+        });
+
+        it("should reject an invalid relativeTo at schema construction", () => {
+            assert.throws(() => custom.duration().relativeTo("soon"));
+            assert.throws(() => custom.duration().relativeTo(Temporal.Now.instant()));
+        });
+
+        it("should shift a { from, add } limit with calendar units from relativeTo", () => {
+            const schema = custom.duration().relativeTo("2024-02-01").min({ from: "PT1H", add: "P1M" });
+            expectPass(schema, "P2M");
+            const error = expectError(schema, "P29D", "temporal.duration.min");
+            assert.equal(error.details[0].context?.limit, "P1MT1H");
+        });
+
+        it("should shift a { from, add } limit with calendar units from today without relativeTo", () => {
+            const schema = customAt("2024-02-01T12:00:00Z").duration().min({ from: "PT1H", add: "P1M" });
+            expectPass(schema, "P29DT1H");
+            expectError(schema, "P29D", "temporal.duration.min");
+        });
+
+        it("should shift a limit by calendar add settings", () => {
+            const schema = custom.duration().relativeTo("2024-02-01").min("P1M", { add: "P1D" });
+            expectPass(schema, "P2M");
+            expectError(schema, "P1M", "temporal.duration.min");
+        });
+
+        it("should measure .within() windows with calendar units", () => {
+            const schema = custom.duration().relativeTo("2024-02-01").within("P1M", "P1D");
+            expectPass(schema, "P1M");
+            expectPass(schema, "P28D");
+            expectError(schema, "P27D", "temporal.duration.within");
+        });
+
+        it("should fail a shifted calendar limit with relativeTo under requireRelativeTo", () => {
+            const schema = custom.duration().requireRelativeTo().min({ from: "PT1H", add: "P1M" });
+            expectError(schema, "P2M", "temporal.duration.relativeTo");
+        });
+
+        it("should show relativeTo in .describe()", () => {
+            const schema = custom.duration().relativeTo(Joi.ref("start"));
+            const description = schema.describe();
+            assert.deepEqual(description.flags, { relativeTo: { ref: { path: ["start"] } } });
+        });
+    });
+
+    describe("requireRelativeTo", () => {
+        it("should reject calendar units without a relativeTo", () => {
+            const schema = custom.duration().requireRelativeTo().max("P1M");
+            expectError(schema, "P10D", "temporal.duration.relativeTo");
+        });
+
+        it("should reject a calendar unit value against a time-only limit", () => {
+            const schema = custom.duration().requireRelativeTo().max("PT8H");
+            expectPass(schema, "PT4H");
+            expectError(schema, "P1W", "temporal.duration.relativeTo");
+        });
+
+        it("should pass when a relativeTo is set", () => {
+            const schema = custom.duration().requireRelativeTo().relativeTo("2024-02-01").max("P1M");
+            expectPass(schema, "P29D");
+        });
+
+        it("should reject when a referenced relativeTo is missing", () => {
+            const schema = custom.object({
+                start: custom.plainDate(),
+                length: custom.duration().relativeTo(Joi.ref("start")).requireRelativeTo().max("P1M"),
+            });
+            const { error } = schema.validate({ length: "P10D" });
+            assert.equal(error?.details[0].type, "temporal.duration.relativeTo");
+        });
+    });
+
     // ── Type-specific rules ───────────────────────────────────
 
     describe("positive", () => {
@@ -192,6 +308,241 @@ describe("duration", () => {
         });
     });
 
+    // ── Unit rules ────────────────────────────────────────────
+
+    describe("units", () => {
+        it("should pass when only the allowed units are used", () => {
+            const schema = custom.duration().units(["hours", "minutes"]);
+            expectPass(schema, "PT7H30M");
+            expectPass(schema, "PT0S");
+        });
+
+        it("should fail naming the first disallowed unit", () => {
+            const schema = custom.duration().units(["hours", "minutes"]);
+            const error = expectError(schema, "P1DT2H", "temporal.duration.units");
+            assert.equal(error.details[0].context?.unit, "days");
+            assert(error.message.includes("days"));
+        });
+
+        it("should accept singular unit names", () => {
+            const schema = custom.duration().units(["hour", "minute"]);
+            expectPass(schema, "PT1H");
+            expectError(schema, "PT1S", "temporal.duration.units");
+            assert.deepEqual(schema.describe().rules[0].args, { units: ["hours", "minutes"] });
+        });
+
+        it("should reject invalid units at schema construction", () => {
+            assert.throws(() => custom.duration().units(["fortnights"]));
+            assert.throws(() => custom.duration().units([]));
+        });
+    });
+
+    describe("timeOnly", () => {
+        it("should pass for a time-only duration", () => {
+            expectPass(custom.duration().timeOnly(), "PT36H");
+        });
+
+        it("should fail for a duration with date units", () => {
+            const error = expectError(custom.duration().timeOnly(), "P1MT1H", "temporal.duration.timeOnly");
+            assert.equal(error.details[0].context?.unit, "months");
+        });
+
+        it("should treat days as a date unit", () => {
+            expectError(custom.duration().timeOnly(), "P1D", "temporal.duration.timeOnly");
+        });
+    });
+
+    describe("dateOnly", () => {
+        it("should pass for a date-only duration", () => {
+            expectPass(custom.duration().dateOnly(), "P1Y2M3W4D");
+        });
+
+        it("should fail for a duration with time units", () => {
+            const error = expectError(custom.duration().dateOnly(), "P1DT12H", "temporal.duration.dateOnly");
+            assert.equal(error.details[0].context?.unit, "hours");
+        });
+    });
+
+    describe("largestUnit", () => {
+        it("should pass when no unit is larger than the limit", () => {
+            expectPass(custom.duration().largestUnit("days"), "P40DT5H");
+        });
+
+        it("should fail for calendar units above days", () => {
+            const schema = custom.duration().largestUnit("days");
+            const error = expectError(schema, "P1W", "temporal.duration.largestUnit");
+            assert.equal(error.details[0].context?.unit, "weeks");
+            assert(error.message.includes("larger than days"));
+        });
+
+        it("should reject an invalid unit at schema construction", () => {
+            assert.throws(() => custom.duration().largestUnit("eons"));
+        });
+    });
+
+    describe("smallestUnit", () => {
+        it("should pass when no unit is smaller than the limit", () => {
+            expectPass(custom.duration().smallestUnit("minutes"), "PT1H30M");
+        });
+
+        it("should forbid sub-second components", () => {
+            const schema = custom.duration().smallestUnit("second");
+            expectPass(schema, "PT1M5S");
+            const error = expectError(schema, "PT1.5S", "temporal.duration.smallestUnit");
+            assert.equal(error.details[0].context?.unit, "milliseconds");
+        });
+    });
+
+    // ── Step rule ─────────────────────────────────────────────
+
+    describe("step", () => {
+        it("should pass for multiples of the increment", () => {
+            const schema = custom.duration().step("PT30M");
+            expectPass(schema, "PT1H30M");
+            expectPass(schema, "PT90M");
+            expectPass(schema, "P1D");
+        });
+
+        it("should fail for durations that are not multiples", () => {
+            const schema = custom.duration().multipleOf("PT30M");
+            const error = expectError(schema, "PT45M", "temporal.duration.step");
+            assert.equal(error.message, '"value" must be a multiple of PT30M');
+        });
+
+        it("should count from the anchor", () => {
+            const schema = custom.duration().step("PT30M", { anchor: "PT15M" });
+            expectPass(schema, "PT45M");
+            expectError(schema, "PT30M", "temporal.duration.step");
+        });
+
+        it("should round and keep the largest unit", () => {
+            const schema = custom.duration().step("PT30M", { round: true });
+            assert.equal(expectPass(schema, "PT100M").toString(), "PT90M");
+            assert.equal(expectPass(schema, "PT1H50M").toString(), "PT2H");
+        });
+
+        it("should use relativeTo for calendar units", () => {
+            const schema = custom.duration().relativeTo("2024-02-01").step("P1D");
+            expectPass(schema, "P1M");
+            expectError(schema, "P1MT1H", "temporal.duration.step");
+        });
+    });
+
+    // ── Normalization ─────────────────────────────────────────
+
+    describe("normalize", () => {
+        it("should balance equivalent inputs to the same canonical form", () => {
+            const schema = custom.duration().normalize({ largestUnit: "hours" });
+            for (const input of ["PT90M", "PT1H30M", "PT5400S", "PT1.5H"]) {
+                assert.equal(expectPass(schema, input).toString(), "PT1H30M");
+            }
+        });
+
+        it("should round to the smallest unit with the rounding mode", () => {
+            const schema = custom
+                .duration()
+                .normalize({ largestUnit: "hours", smallestUnit: "minutes", roundingMode: "halfExpand" });
+            assert.equal(expectPass(schema, "PT5430S").toString(), "PT1H31M");
+            assert.equal(expectPass(schema, "PT5429S").toString(), "PT1H30M");
+        });
+
+        it("should use relativeTo to balance into calendar units", () => {
+            const schema = custom.duration().relativeTo("2024-02-01").normalize({ largestUnit: "months" });
+            assert.equal(expectPass(schema, "P30D").toString(), "P1M1D");
+        });
+
+        it("should balance days across DST with a zoned relativeTo", () => {
+            const schema = custom
+                .duration()
+                .relativeTo("2024-03-10T00:00:00-05:00[America/New_York]")
+                .normalize({ largestUnit: "days" });
+            assert.equal(expectPass(schema, "PT23H").toString(), "P1D");
+        });
+
+        it("should fail without relativeTo when it is required", () => {
+            const schema = custom.duration().requireRelativeTo().normalize({ largestUnit: "months" });
+            expectError(schema, "P45D", "temporal.duration.relativeTo");
+        });
+
+        it("should let later rules see the normalized value", () => {
+            const schema = custom.duration().normalize({ largestUnit: "hours" }).units(["hours", "minutes"]);
+            expectPass(schema, "PT5400S");
+        });
+
+        it("should fail for non-normalized values when convert is disabled", () => {
+            const schema = custom.duration().normalize({ largestUnit: "hours" });
+            const { error } = schema.validate(Temporal.Duration.from("PT90M"), { convert: false });
+            assert.equal(error?.details[0].type, "temporal.duration.normalize");
+            assert.equal(error?.details[0].context?.normalized, "PT1H30M");
+        });
+
+        it("should show the options in .describe()", () => {
+            const schema = custom.duration().normalize({ largestUnit: "hours", smallestUnit: "minutes" });
+            assert.deepEqual(schema.describe().rules, [
+                { name: "normalize", args: { options: { largestUnit: "hours", smallestUnit: "minutes" } } },
+            ]);
+        });
+
+        it("should reject invalid options at schema construction", () => {
+            assert.throws(() => custom.duration().normalize({}));
+            assert.throws(() => custom.duration().normalize({ largestUnit: "minutes", smallestUnit: "hours" }));
+            assert.throws(() => custom.duration().normalize({ largestUnit: "hours", roundingMode: "nearest" }));
+        });
+    });
+
+    // ── Strict format ─────────────────────────────────────────
+
+    describe("strict", () => {
+        it("should pass for canonical durations", () => {
+            expectPass(custom.duration().strict(), "P1Y2M3DT4H5M6.5S");
+            expectPass(custom.duration().strict(), "-PT90M");
+        });
+
+        it("should fail for lowercase, comma decimals and fractional hours", () => {
+            const schema = custom.duration().strict();
+            expectError(schema, "pt1h", "temporal.duration.format");
+            expectError(schema, "PT1,5S", "temporal.duration.format");
+            expectError(schema, "PT1.5H", "temporal.duration.format");
+        });
+
+        it("should fail for an explicit plus sign", () => {
+            expectError(custom.duration().strict(), "+PT1H", "temporal.duration.format");
+        });
+    });
+
+    // ── Property bags ─────────────────────────────────────────
+
+    describe("propertyBag", () => {
+        it("should coerce duration fields", () => {
+            assert.equal(expectPass(custom.duration().propertyBag(), { hours: 1, minutes: 30 }).toString(), "PT1H30M");
+        });
+
+        it("should fail with unknownField for singular names", () => {
+            expectError(custom.duration().propertyBag(), { hour: 1 }, "temporal.duration.unknownField");
+        });
+
+        it("should fail with base for a non-integer field", () => {
+            expectError(custom.duration().propertyBag(), { hours: 1.5 }, "temporal.duration.base");
+        });
+    });
+
+    // ── Epoch and Date inputs ─────────────────────────────────
+
+    describe("epoch", () => {
+        it("should not be available", () => {
+            assert.equal((custom.duration() as any).epoch, undefined);
+        });
+    });
+
+    // ── Output ────────────────────────────────────────────────
+
+    describe("output", () => {
+        it("should return an ISO string after normalizing", () => {
+            const schema = custom.duration().normalize({ largestUnit: "hours" }).output("iso");
+            assert.equal(expectPass(schema, "PT90M"), "PT1H30M");
+        });
+    });
+
     // ── Joi integration ───────────────────────────────────────
 
     describe("joi integration", () => {
@@ -1,8 +1,13 @@
 import Joi from "joi";
-import joiTemporal from "../src/index.js";
+import joiTemporal, { createExtensions } from "../src/index.js";
 
 export const custom = Joi.extend(...joiTemporal);
 
+/** Extensions whose clock is frozen at the given ISO instant. */
+export function customAt(instant: string) {
+    return Joi.extend(...createExtensions({ clock: () => Temporal.Instant.from(instant) }));
+}
+
 export function validate(schema: Joi.Schema, value: unknown) {
     return schema.validate(value);
 }
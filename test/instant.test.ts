@@ -1,6 +1,7 @@
 import { describe, it } from "node:test";
 import assert from "node:assert/strict";
-import { custom, expectPass, expectError } from "./helpers.js";
+import Joi from "joi";
+import { custom, customAt, expectPass, expectError } from "./helpers.js";
 
 describe("instant", () => {
     // ── Coercion ──────────────────────────────────────────────
@@ -146,6 +147,320 @@ describe("instant", () => {
         });
     });
 
+    describe("within", () => {
+        const reminder = custom.object({
+            event: custom.instant(),
+            reminder: custom.instant().within(Joi.ref("event"), "P7D", { direction: "before" }),
+        });
+
+        it("should pass inside the window before the limit", () => {
+            expectPass(reminder, { event: "2024-03-10T00:00:00Z", reminder: "2024-03-03T00:00:00Z" });
+            expectPass(reminder, { event: "2024-03-10T00:00:00Z", reminder: "2024-03-10T00:00:00Z" });
+        });
+
+        it("should fail outside the window", () => {
+            const error = expectError(reminder, { event: "2024-03-10T00:00:00Z", reminder: "2024-03-02T23:59:59Z" }, "temporal.instant.within");
+            assert.equal(error.details[0].context?.min, "2024-03-03T00:00:00Z");
+            assert.equal(error.details[0].context?.max, "2024-03-10T00:00:00Z");
+            expectError(reminder, { event: "2024-03-10T00:00:00Z", reminder: "2024-03-10T00:00:01Z" }, "temporal.instant.within");
+        });
+
+        it("should extend to both sides by default", () => {
+            const schema = custom.instant().within("2024-03-10T00:00:00Z", "PT1H");
+            expectPass(schema, "2024-03-09T23:00:00Z");
+            expectPass(schema, "2024-03-10T01:00:00Z");
+            expectError(schema, "2024-03-10T01:00:01Z", "temporal.instant.within");
+        });
+
+        it("should reject a negative duration or unknown direction", () => {
+            assert.throws(() => custom.instant().within("2024-03-10T00:00:00Z", "-PT1H"));
+            assert.throws(() => custom.instant().within("2024-03-10T00:00:00Z", "PT1H", { direction: "around" }));
+        });
+    });
+
+    describe("now", () => {
+        const fixed = customAt("2024-03-15T12:00:00Z");
+
+        it("should resolve 'now' to the current instant", () => {
+            const schema = fixed.instant().gt("now");
+            expectPass(schema, "2024-03-15T12:00:00.001Z");
+            expectError(schema, "2024-03-15T12:00:00Z", "temporal.instant.gt");
+        });
+
+        it("should resolve relative expressions with calendar days", () => {
+            const schema = fixed.instant().max("now+P1DT2H");
+            const error = expectError(schema, "2024-03-16T14:00:01Z", "temporal.instant.max");
+            assert.equal(error.details[0].context?.limit, "2024-03-16T14:00:00Z");
+        });
+
+        it("should default to the real clock", () => {
+            const schema = custom.instant().max("now");
+            expectPass(schema, Temporal.Now.instant().subtract({ seconds: 1 }));
+            expectError(schema, Temporal.Now.instant().add({ hours: 1 }), "temporal.instant.max");
+        });
+    });
+
+    // ── Days of the week ──────────────────────────────────────
+
+    describe("daysOfWeek", () => {
+        it("should read the day in UTC by default", () => {
+            // Friday 23:00 UTC
+            expectPass(custom.instant().weekday(), "2024-03-15T23:00:00Z");
+        });
+
+        it("should read the day in the given timeZone", () => {
+            // already Saturday in Tokyo
+            const schema = custom.instant().weekday({ timeZone: "Asia/Tokyo" });
+            const error = expectError(schema, "2024-03-15T23:00:00Z", "temporal.instant.dayOfWeek");
+            assert.equal(error.details[0].context?.day, "Saturday");
+        });
+    });
+
+    // ── Exclusions ────────────────────────────────────────────
+
+    describe("exclude", () => {
+        it("should read the date in the given timeZone", () => {
+            const schema = custom.instant().exclude(["2024-12-25"], { timeZone: "Asia/Tokyo" });
+            expectError(schema, "2024-12-24T16:00:00Z", "temporal.instant.excluded");
+            expectPass(custom.instant().exclude(["2024-12-25"]), "2024-12-24T16:00:00Z");
+        });
+    });
+
+    // ── Step rule ─────────────────────────────────────────────
+
+    describe("step", () => {
+        it("should count steps from the epoch by default", () => {
+            const schema = custom.instant().step("PT1S");
+            expectPass(schema, "2024-03-15T12:00:01Z");
+            expectError(schema, "2024-03-15T12:00:01.5Z", "temporal.instant.step");
+        });
+
+        it("should count steps from the anchor", () => {
+            const schema = custom.instant().step("PT1H", { anchor: "2024-01-01T00:30:00Z" });
+            expectPass(schema, "2024-03-15T12:30:00Z");
+            expectError(schema, "2024-03-15T12:00:00Z", "temporal.instant.step");
+        });
+
+        it("should round to the nearest step", () => {
+            const schema = custom.instant().step("PT1M", { round: true });
+            const result = expectPass(schema, "2024-03-15T12:00:29.999999999Z");
+            assert.equal(result.toString(), "2024-03-15T12:00:00Z");
+        });
+    });
+
+    // ── Precision and rounding ────────────────────────────────
+
+    describe("precision and round", () => {
+        it("should reject nanosecond timestamps at millisecond precision", () => {
+            const schema = custom.instant().precision("millisecond");
+            expectPass(schema, "2024-01-15T09:30:00.123Z");
+            const error = expectError(schema, "2024-01-15T09:30:00.123456789Z", "temporal.instant.precision");
+            assert(error.message.includes("millisecond"));
+        });
+
+        it("should truncate with roundingMode trunc", () => {
+            const schema = custom.instant().round({ smallestUnit: "millisecond", roundingMode: "trunc" });
+            assert.equal(expectPass(schema, "2024-01-15T09:30:00.123999Z").toString(), "2024-01-15T09:30:00.123Z");
+        });
+    });
+
+    // ── Strict format ─────────────────────────────────────────
+
+    describe("strict", () => {
+        it("should pass for a date-time with Z or an offset", () => {
+            expectPass(custom.instant().strict(), "2024-03-15T10:00:00Z");
+            expectPass(custom.instant().strict(), "2024-03-15T10:00:00.5+05:30");
+        });
+
+        it("should fail for bracketed annotations", () => {
+            expectError(custom.instant().strict(), "2024-03-15T10:00:00Z[UTC]", "temporal.instant.format");
+        });
+
+        it("should fail for lowercase designators and basic format", () => {
+            expectError(custom.instant().strict(), "2024-03-15t10:00:00z", "temporal.instant.format");
+            expectError(custom.instant().strict(), "20240315T100000Z", "temporal.instant.format");
+        });
+    });
+
+    // ── Property bags ─────────────────────────────────────────
+
+    describe("propertyBag", () => {
+        it("should not be available, since Temporal.Instant has no fields", () => {
+            assert.equal((custom.instant() as any).propertyBag, undefined);
+        });
+    });
+
+    // ── Epoch and Date inputs ─────────────────────────────────
+
+    describe("epoch", () => {
+        it("should coerce epoch seconds", () => {
+            const value = expectPass(custom.instant().epoch("seconds"), 1710496800);
+            assert.equal(value.toString(), "2024-03-15T10:00:00Z");
+        });
+
+        it("should keep fractional seconds", () => {
+            const value = expectPass(custom.instant().epoch("seconds"), 1710496800.25);
+            assert.equal(value.toString(), "2024-03-15T10:00:00.25Z");
+        });
+
+        it("should coerce epoch milliseconds, microseconds and nanoseconds", () => {
+            assert.equal(expectPass(custom.instant().epoch("milliseconds"), 1710496800123).toString(), "2024-03-15T10:00:00.123Z");
+            assert.equal(expectPass(custom.instant().epoch("microseconds"), 1710496800123456).toString(), "2024-03-15T10:00:00.123456Z");
+            assert.equal(expectPass(custom.instant().epoch("nanoseconds"), 1710496800123456789n).toString(), "2024-03-15T10:00:00.123456789Z");
+        });
+
+        it("should still accept ISO strings", () => {
+            expectPass(custom.instant().epoch("seconds"), "2024-03-15T10:00:00Z");
+        });
+
+        it("should reject numbers unless enabled", () => {
+            expectError(custom.instant(), 1710496800, "temporal.instant.base");
+        });
+
+        it("should reject non-finite and out-of-range numbers", () => {
+            expectError(custom.instant().epoch("seconds"), Number.NaN, "temporal.instant.base");
+            expectError(custom.instant().epoch("milliseconds"), 1e20, "temporal.instant.base");
+        });
+
+        it("should apply rules to the coerced value", () => {
+            const schema = custom.instant().epoch("seconds").min("2024-01-01T00:00:00Z");
+            expectError(schema, 0, "temporal.instant.min");
+        });
+
+        it("should reject an unknown unit at schema construction", () => {
+            assert.throws(() => custom.instant().epoch("minutes"));
+        });
+
+        it("should show up in .describe()", () => {
+            assert.deepEqual(custom.instant().epoch("seconds").describe().flags, { epoch: { unit: "seconds" } });
+        });
+    });
+
+    describe("fromDate", () => {
+        it("should coerce Date objects", () => {
+            const value = expectPass(custom.instant().fromDate(), new Date("2024-03-15T10:00:00.123Z"));
+            assert.equal(value.toString(), "2024-03-15T10:00:00.123Z");
+        });
+
+        it("should reject Date objects unless enabled", () => {
+            expectError(custom.instant(), new Date(), "temporal.instant.base");
+        });
+
+        it("should reject invalid dates", () => {
+            expectError(custom.instant().fromDate(), new Date("nope"), "temporal.instant.base");
+        });
+    });
+
+    // ── Format presets ────────────────────────────────────────
+
+    describe("format presets", () => {
+        it("should parse all three HTTP date forms with http-date", () => {
+            const schema = custom.instant().format("http-date");
+            for (const header of ["Sun, 06 Nov 1994 08:49:37 GMT", "Sunday, 06-Nov-94 08:49:37 GMT", "Sun Nov  6 08:49:37 1994"]) {
+                assert.equal(expectPass(schema, header).toString(), "1994-11-06T08:49:37Z");
+            }
+        });
+
+        it("should accept only IMF-fixdate with imf-fixdate", () => {
+            const schema = custom.instant().format("imf-fixdate");
+            expectPass(schema, "Sun, 06 Nov 1994 08:49:37 GMT");
+            expectError(schema, "Sun Nov  6 08:49:37 1994", "temporal.instant.format");
+        });
+
+        it("should fail when the weekday doesn't match the date", () => {
+            expectError(custom.instant().format("http-date"), "Mon, 06 Nov 1994 08:49:37 GMT", "temporal.instant.format");
+        });
+
+        it("should fail with overflow for dates that don't exist", () => {
+            expectError(custom.instant().format("http-date"), "Wed, 31 Nov 1994 08:49:37 GMT", "temporal.instant.overflow");
+        });
+
+        it("should parse RFC 2822 with numeric and named zones", () => {
+            const schema = custom.instant().format("rfc2822");
+            assert.equal(expectPass(schema, "Fri, 15 Mar 2024 14:30:00 +0530").toString(), "2024-03-15T09:00:00Z");
+            assert.equal(expectPass(schema, "15 Mar 2024 14:30 EST").toString(), "2024-03-15T19:30:00Z");
+        });
+
+        it("should parse ISO basic format", () => {
+            const schema = custom.instant().format("iso-basic");
+            assert.equal(expectPass(schema, "20240315T143000Z").toString(), "2024-03-15T14:30:00Z");
+            assert.equal(expectPass(schema, "20240315T143000.25-0100").toString(), "2024-03-15T15:30:00.25Z");
+            expectError(schema, "2024-03-15T14:30:00Z", "temporal.instant.format");
+        });
+
+        it("should combine presets with comparison rules", () => {
+            const schema = custom.instant().format("http-date").max("2000-01-01T00:00:00Z");
+            expectError(schema, "Sat, 01 Jan 2000 00:00:01 GMT", "temporal.instant.max");
+        });
+
+        it("should reject unknown presets and token patterns at schema construction", () => {
+            assert.throws(() => custom.instant().format("rfc1123z"), /http-date/);
+            assert.throws(() => custom.instant().format("DD/MM/YYYY"));
+        });
+    });
+
+    // ── Lenient input ─────────────────────────────────────────
+
+    describe("lenient", () => {
+        it("should reject surrounding whitespace by default", () => {
+            expectError(custom.instant(), " 2024-03-15T14:30:00Z ", "temporal.instant.base");
+        });
+
+        it("should normalize whitespace, a space separator and a colon-less offset", () => {
+            const value = expectPass(custom.instant().lenient(), "  2024-03-15 14:30+0530 ");
+            assert.equal(value.toString(), "2024-03-15T09:00:00Z");
+        });
+
+        it("should normalize lowercase t and z before the strict check", () => {
+            expectError(custom.instant().strict(), "2024-03-15t14:30z", "temporal.instant.format");
+            expectPass(custom.instant().strict().lenient(), "2024-03-15t14:30z");
+        });
+
+        it("should show up in .describe()", () => {
+            assert.deepEqual(custom.instant().lenient().describe().flags, { lenient: true });
+        });
+    });
+
+    // ── Output ────────────────────────────────────────────────
+
+    describe("output", () => {
+        it("should return an ISO string", () => {
+            assert.equal(expectPass(custom.instant().output("iso"), "2024-03-15T14:30:00+01:00"), "2024-03-15T13:30:00Z");
+        });
+
+        it("should pass toString options through", () => {
+            const schema = custom.instant().output("iso", { fractionalSecondDigits: 3 });
+            assert.equal(expectPass(schema, "2024-03-15T14:30:00.123456Z"), "2024-03-15T14:30:00.123Z");
+        });
+
+        it("should return epoch numbers", () => {
+            assert.equal(expectPass(custom.instant().output("epochMilliseconds"), "2024-03-15T14:30:00Z"), 1710513000000);
+            assert.equal(expectPass(custom.instant().output("epochNanoseconds"), "2024-03-15T14:30:00Z"), 1710513000000000000n);
+        });
+
+        it("should return a Date", () => {
+            const value = expectPass(custom.instant().output("date"), "2024-03-15T14:30:00Z");
+            assert(value instanceof Date);
+            assert.equal(value.toISOString(), "2024-03-15T14:30:00.000Z");
+        });
+
+        it("should run rules against the Temporal value", () => {
+            const schema = custom.instant().output("epochMilliseconds").min("2025-01-01T00:00:00Z");
+            expectError(schema, "2024-03-15T14:30:00Z", "temporal.instant.min");
+        });
+
+        it("should go back to Temporal values with output('temporal')", () => {
+            const value = expectPass(custom.instant().output("iso").output("temporal"), "2024-03-15T14:30:00Z");
+            assert(value instanceof Temporal.Instant);
+        });
+
+        it("should reject unknown modes and options outside iso at schema construction", () => {
+            assert.throws(() => custom.instant().output("unix" as any));
+            assert.throws(() => custom.instant().output("date", { fractionalSecondDigits: 3 }));
+            assert.throws(() => custom.instant().output("iso", { fractionalSecondDigits: 12 }));
+        });
+    });
+
     // ── Joi integration ───────────────────────────────────────
 
     describe("joi integration", () => {
@@ -1,6 +1,7 @@
 import { describe, it } from "node:test";
 import assert from "node:assert/strict";
-import { custom, expectPass, expectError } from "./helpers.js";
+import Joi from "joi";
+import { custom, customAt, expectPass, expectError } from "./helpers.js";
 
 describe("plainDate", () => {
     // ── Coercion ──────────────────────────────────────────────
@@ -99,11 +100,64 @@ describe("plainDate", () => {
         });
 
         it("should accept 'now' as the limit", () => {
-            const schema = custom.plainDate().min("now");
-            const today = Temporal.Now.plainDateISO();
-            expectPass(schema, today.toString());
-            const yesterday = today.subtract({ days: 1 });
-            expectError(schema, yesterday.toString(), "temporal.plainDate.min");
+            const schema = customAt("2024-03-15T12:00:00Z").plainDate().min("now");
+            expectPass(schema, "2024-03-15");
+            expectError(schema, "2024-03-14", "temporal.plainDate.min");
+        });
+    });
+
+    describe("relative now", () => {
+        const fixed = customAt("2024-03-15T12:00:00Z");
+
+        it("should accept a 'now-<duration>' expression", () => {
+            const schema = fixed.plainDate().min("now-P30D");
+            expectPass(schema, "2024-02-14");
+            expectError(schema, "2024-02-13", "temporal.plainDate.min");
+        });
+
+        it("should accept a 'now+<duration>' expression", () => {
+            const schema = fixed.plainDate().gt("now+P1W");
+            expectPass(schema, "2024-03-23");
+            expectError(schema, "2024-03-22", "temporal.plainDate.gt");
+        });
+
+        it("should accept a { from, add } object", () => {
+            const schema = fixed.plainDate().max({ from: "now", add: "P1Y" });
+            expectPass(schema, "2025-03-15");
+            expectError(schema, "2025-03-16", "temporal.plainDate.max");
+        });
+
+        it("should accept a { from, subtract } object with a fixed origin", () => {
+            const schema = custom.plainDate().min({ from: "2021-03-31", subtract: { months: 1 } });
+            expectPass(schema, "2021-02-28");
+            expectError(schema, "2021-02-27", "temporal.plainDate.min");
+        });
+
+        it("should report the resolved limit in the error message", () => {
+            const schema = fixed.plainDate().min("now-P30D");
+            const error = expectError(schema, "2000-01-01", "temporal.plainDate.min");
+            assert.equal(error.details[0].context?.limit, "2024-02-14");
+        });
+
+        it("should keep the original expression in .describe()", () => {
+            const schema = custom.plainDate().min("now-P30D").max({ from: "now", add: "P1Y" });
+            const description = schema.describe();
+            assert.deepEqual(description.rules[0].args, { limit: "now-P30D" });
+            assert.deepEqual(description.rules[1].args, { limit: { from: "now", add: "P1Y" } });
+        });
+
+        it("should reject an object limit without a 'from' key", () => {
+            assert.throws(() => custom.plainDate().min({ add: "P1D" }));
+        });
+
+        it("should reject a malformed expression when the schema is built", () => {
+            assert.throws(() => custom.plainDate().min("now-garbage"));
+            assert.throws(() => custom.plainDate().min("not-a-date"));
+        });
+
+        it("should reject an object limit with an invalid duration when the schema is built", () => {
+            assert.throws(() => custom.plainDate().min({ from: "now", add: "soon" }));
+            assert.throws(() => custom.plainDate().min({ from: "not-a-date", add: "P1D" }));
         });
     });
 
@@ -158,6 +212,360 @@ describe("plainDate", () => {
         });
     });
 
+    describe("shifted limits", () => {
+        const stay = custom.object({
+            checkin: custom.plainDate(),
+            checkout: custom.plainDate().min(Joi.ref("checkin"), { add: "P1D" }),
+        });
+
+        it("should shift a referenced limit by add", () => {
+            expectPass(stay, { checkin: "2024-03-01", checkout: "2024-03-02" });
+            const error = expectError(stay, { checkin: "2024-03-01", checkout: "2024-03-01" }, "temporal.plainDate.min");
+            assert.equal(error.details[0].context?.limit, "2024-03-02");
+        });
+
+        it("should shift a fixed limit by subtract", () => {
+            const schema = custom.plainDate().max("2024-03-31", { subtract: "P1M" });
+            expectPass(schema, "2024-02-29");
+            expectError(schema, "2024-03-01", "temporal.plainDate.max");
+        });
+
+        it("should reject an invalid duration at schema construction", () => {
+            assert.throws(() => custom.plainDate().min("2024-01-01", { add: "one day" }));
+        });
+    });
+
+    // ── Days of the week ──────────────────────────────────────
+
+    describe("daysOfWeek", () => {
+        // 2024-03-15 is a Friday
+        it("should pass only the listed ISO weekdays", () => {
+            const schema = custom.plainDate().daysOfWeek([2, 4]);
+            expectPass(schema, "2024-03-14");
+            const error = expectError(schema, "2024-03-15", "temporal.plainDate.dayOfWeek");
+            assert.equal(error.message, '"value" must fall on Tuesday or Thursday (found Friday)');
+        });
+
+        it("should reject weekends with .weekday()", () => {
+            const schema = custom.plainDate().weekday();
+            expectPass(schema, "2024-03-15");
+            expectError(schema, "2024-03-16", "temporal.plainDate.dayOfWeek");
+        });
+
+        it("should reject weekdays with .weekend()", () => {
+            const schema = custom.plainDate().weekend();
+            expectPass(schema, "2024-03-17");
+            expectError(schema, "2024-03-18", "temporal.plainDate.dayOfWeek");
+        });
+
+        it("should show the allowed set in .describe()", () => {
+            const description = custom.plainDate().weekday().describe();
+            assert.deepEqual(description.rules[0], { name: "daysOfWeek", args: { days: [1, 2, 3, 4, 5] } });
+        });
+
+        it("should reject invalid days at schema construction", () => {
+            assert.throws(() => custom.plainDate().daysOfWeek([0]));
+            assert.throws(() => custom.plainDate().daysOfWeek([]));
+        });
+    });
+
+    // ── Exclusions ────────────────────────────────────────────
+
+    describe("exclude", () => {
+        it("should reject fixed dates", () => {
+            const schema = custom.plainDate().exclude(["2024-07-04", Temporal.PlainDate.from("2024-11-28")]);
+            expectPass(schema, "2024-07-05");
+            const error = expectError(schema, "2024-07-04", "temporal.plainDate.excluded");
+            assert.equal(error.details[0].context?.date, "2024-07-04");
+            expectError(schema, "2024-11-28", "temporal.plainDate.excluded");
+        });
+
+        it("should reject recurring month-days in any year", () => {
+            const schema = custom.plainDate().exclude(["12-25", Temporal.PlainMonthDay.from("01-01")]);
+            expectError(schema, "2031-12-25", "temporal.plainDate.excluded");
+            expectError(schema, "2024-01-01", "temporal.plainDate.excluded");
+            expectPass(schema, "2024-12-24");
+        });
+
+        it("should reject whole year-months", () => {
+            const schema = custom.plainDate().exclude(["2024-08"]);
+            expectError(schema, "2024-08-31", "temporal.plainDate.excluded");
+            expectPass(schema, "2025-08-01");
+        });
+
+        it("should reject inclusive date ranges", () => {
+            const schema = custom.plainDate().exclude([{ from: "2024-12-23", to: "2025-01-02" }]);
+            expectError(schema, "2024-12-23", "temporal.plainDate.excluded");
+            expectError(schema, "2025-01-02", "temporal.plainDate.excluded");
+            expectPass(schema, "2025-01-03");
+        });
+
+        it("should call predicates with the date", () => {
+            const schema = custom.plainDate().exclude((date: Temporal.PlainDate) => date.day === 13 && date.dayOfWeek === 5);
+            expectError(schema, "2024-09-13", "temporal.plainDate.excluded");
+            expectPass(schema, "2024-10-13");
+        });
+
+        it("should read a list from the validation context", () => {
+            const schema = custom.plainDate().exclude(Joi.ref("$holidays"));
+            const context = { holidays: ["2024-05-01", "12-25"] };
+            assert.equal(schema.validate("2024-05-01", { context }).error?.details[0].type, "temporal.plainDate.excluded");
+            assert.equal(schema.validate("2024-05-02", { context }).error, undefined);
+            assert.equal(schema.validate("2024-05-01", { context: { holidays: [] } }).error, undefined);
+            assert.equal(schema.validate("2024-05-01", { context: { holidays: ["soon"] } }).error?.details[0].type, "any.ref");
+        });
+
+        it("should reject invalid entries at schema construction", () => {
+            assert.throws(() => custom.plainDate().exclude(["soon"]));
+            assert.throws(() => custom.plainDate().exclude([{ from: "2025-01-02", to: "2024-12-23" }]));
+        });
+    });
+
+    // ── Strict format ─────────────────────────────────────────
+
+    describe("strict", () => {
+        it("should pass for YYYY-MM-DD", () => {
+            expectPass(custom.plainDate().strict(), "2024-03-15");
+            expectPass(custom.plainDate().strict(), "+002024-03-15");
+        });
+
+        it("should fail for strings with extra components", () => {
+            const schema = custom.plainDate().strict();
+            const error = expectError(schema, "2024-03-15T10:00:00Z[UTC]", "temporal.plainDate.format");
+            assert(error.message.includes("YYYY-MM-DD"));
+            expectError(schema, "2024-03-15[u-ca=iso8601]", "temporal.plainDate.format");
+        });
+
+        it("should fail for basic format", () => {
+            expectError(custom.plainDate().strict(), "20240315", "temporal.plainDate.format");
+        });
+
+        it("should still accept Temporal instances", () => {
+            expectPass(custom.plainDate().strict(), Temporal.PlainDate.from("2024-03-15"));
+        });
+
+        it("should be turned off with .strict(false)", () => {
+            expectPass(custom.plainDate().strict().strict(false), "20240315");
+        });
+
+        it("should keep the value invalid as a date after the format check", () => {
+            expectError(custom.plainDate().strict(), "2024-02-30", "temporal.plainDate.base");
+        });
+
+        it("should show up in .describe()", () => {
+            assert.equal(custom.plainDate().strict().describe().flags?.strict, true);
+        });
+    });
+
+    // ── Property bags ─────────────────────────────────────────
+
+    describe("propertyBag", () => {
+        it("should coerce { year, month, day }", () => {
+            const value = expectPass(custom.plainDate().propertyBag(), { year: 2024, month: 3, day: 15 });
+            assert(value instanceof Temporal.PlainDate);
+            assert.equal(value.toString(), "2024-03-15");
+        });
+
+        it("should not coerce objects unless enabled", () => {
+            expectError(custom.plainDate(), { year: 2024, month: 3, day: 15 }, "temporal.plainDate.base");
+        });
+
+        it("should reject overflowing fields by default", () => {
+            expectError(custom.plainDate().propertyBag(), { year: 2024, month: 2, day: 31 }, "temporal.plainDate.overflow");
+        });
+
+        it("should clamp overflowing fields with .overflow('constrain')", () => {
+            const schema = custom.plainDate().propertyBag().overflow("constrain");
+            assert.equal(expectPass(schema, { year: 2024, month: 2, day: 31 }).toString(), "2024-02-29");
+        });
+
+        it("should fail with missingField when a required field is absent", () => {
+            const error = expectError(custom.plainDate().propertyBag(), { year: 2024, day: 15 }, "temporal.plainDate.missingField");
+            assert.equal(error.details[0].context?.fields, "month or monthCode");
+        });
+
+        it("should fail with unknownField for fields the type doesn't have", () => {
+            const error = expectError(custom.plainDate().propertyBag(), { year: 2024, month: 3, day: 15, hour: 9 }, "temporal.plainDate.unknownField");
+            assert.equal(error.details[0].context?.field, "hour");
+        });
+
+        it("should accept monthCode in place of month", () => {
+            expectPass(custom.plainDate().propertyBag(), { year: 2024, monthCode: "M03", day: 15 });
+        });
+
+        it("should fail with base for an unknown calendar", () => {
+            expectError(custom.plainDate().propertyBag(), { year: 2024, month: 3, day: 15, calendar: "nope" }, "temporal.plainDate.base");
+        });
+
+        it("should reject an invalid overflow mode at schema construction", () => {
+            assert.throws(() => custom.plainDate().overflow("balance" as any));
+        });
+
+        it("should show up in .describe()", () => {
+            const description = custom.plainDate().propertyBag().overflow("constrain").describe();
+            assert.deepEqual(description.flags, { propertyBag: true, overflow: "constrain" });
+        });
+    });
+
+    // ── Epoch and Date inputs ─────────────────────────────────
+
+    describe("epoch and fromDate", () => {
+        it("should take the date in the given time zone", () => {
+            // 2024-03-15T20:00:00Z is already the 16th in Tokyo
+            assert.equal(expectPass(custom.plainDate().epoch("seconds", { timeZone: "UTC" }), 1710532800).toString(), "2024-03-15");
+            assert.equal(expectPass(custom.plainDate().epoch("seconds", { timeZone: "Asia/Tokyo" }), 1710532800).toString(), "2024-03-16");
+        });
+
+        it("should take the date of a Date object", () => {
+            const schema = custom.plainDate().fromDate({ timeZone: "America/New_York" });
+            assert.equal(expectPass(schema, new Date("2024-03-15T02:00:00Z")).toString(), "2024-03-14");
+        });
+
+        it("should require a timeZone", () => {
+            assert.throws(() => custom.plainDate().epoch("seconds"));
+            assert.throws(() => custom.plainDate().fromDate());
+        });
+    });
+
+    // ── Custom formats ────────────────────────────────────────
+
+    describe("format", () => {
+        it("should parse a token pattern", () => {
+            const value = expectPass(custom.plainDate().format("DD/MM/YYYY"), "15/03/2024");
+            assert.equal(value.toString(), "2024-03-15");
+        });
+
+        it("should replace ISO parsing", () => {
+            expectError(custom.plainDate().format("DD/MM/YYYY"), "2024-03-15", "temporal.plainDate.format");
+        });
+
+        it("should try patterns in order and list them on a mismatch", () => {
+            const schema = custom.plainDate().format(["DD/MM/YYYY", "YYYY-MM-DD"]);
+            expectPass(schema, "2024-03-15");
+            const error = expectError(schema, "15.03.2024", "temporal.plainDate.format");
+            assert.equal(error.details[0].context?.format, "DD/MM/YYYY or YYYY-MM-DD");
+        });
+
+        it("should parse month names and two-digit years", () => {
+            assert.equal(expectPass(custom.plainDate().format("MMMM D, YYYY"), "March 5, 2024").toString(), "2024-03-05");
+            assert.equal(expectPass(custom.plainDate().format("D MMM YY"), "5 mar 24").toString(), "2024-03-05");
+            assert.equal(expectPass(custom.plainDate().format("D MMM YY"), "5 Mar 85").toString(), "1985-03-05");
+        });
+
+        it("should treat bracketed text as literal", () => {
+            expectPass(custom.plainDate().format("[Day] DD [of] MM/YYYY"), "Day 15 of 03/2024");
+        });
+
+        it("should fail with overflow for dates that don't exist", () => {
+            expectError(custom.plainDate().format("DD/MM/YYYY"), "31/02/2024", "temporal.plainDate.overflow");
+        });
+
+        it("should reject patterns that don't fit the type at schema construction", () => {
+            assert.throws(() => custom.plainDate().format("DD/MM"), /missing/);
+            assert.throws(() => custom.plainDate().format("YYYY-MM-DD HH:mm"), /hour/);
+            assert.throws(() => custom.plainDate().format([]));
+        });
+
+        it("should show up in .describe()", () => {
+            assert.deepEqual(custom.plainDate().format("DD/MM/YYYY").describe().flags, { format: ["DD/MM/YYYY"] });
+        });
+    });
+
+    // ── Format presets ────────────────────────────────────────
+
+    describe("format presets", () => {
+        it("should not be available for plain types", () => {
+            assert.throws(() => custom.plainDate().format("http-date"), /instant and zonedDateTime/);
+        });
+    });
+
+    // ── Lenient input ─────────────────────────────────────────
+
+    describe("lenient", () => {
+        it("should trim surrounding whitespace", () => {
+            expectError(custom.plainDate(), " 2024-03-15", "temporal.plainDate.base");
+            expectPass(custom.plainDate().lenient(), " 2024-03-15\n");
+        });
+    });
+
+    // ── Output ────────────────────────────────────────────────
+
+    describe("output", () => {
+        it("should return an ISO string, with calendarName if asked", () => {
+            assert.equal(expectPass(custom.plainDate().output("iso"), "2024-03-15"), "2024-03-15");
+            assert.equal(expectPass(custom.plainDate().output("iso", { calendarName: "always" }), "2024-03-15"), "2024-03-15[u-ca=iso8601]");
+        });
+
+        it("should work inside Joi.object()", () => {
+            const schema = custom.object({ date: custom.plainDate().output("iso") });
+            assert.deepEqual(schema.validate({ date: "2024-03-15" }).value, { date: "2024-03-15" });
+        });
+
+        it("should not offer epoch or Date output", () => {
+            assert.throws(() => custom.plainDate().output("date"), /temporal, iso/);
+        });
+
+        it("should show up in .describe()", () => {
+            assert.deepEqual(custom.plainDate().output("iso", { calendarName: "always" }).describe().flags, {
+                cast: "iso",
+                outputOptions: { calendarName: "always" },
+            });
+        });
+    });
+
+    // ── Calendars ─────────────────────────────────────────────
+
+    describe("calendar", () => {
+        it("should pass values in an allowed calendar", () => {
+            expectPass(custom.plainDate().calendar("iso8601"), "2024-03-15");
+            expectPass(custom.plainDate().calendar(["iso8601", "gregory"]), "2024-03-15[u-ca=gregory]");
+        });
+
+        it("should fail values in other calendars", () => {
+            const error = expectError(custom.plainDate().calendar("iso8601"), "2024-03-15[u-ca=hebrew]", "temporal.plainDate.calendar");
+            assert.equal(error.details[0].context?.calendar, "hebrew");
+            assert(error.message.includes("iso8601"));
+        });
+
+        it("should canonicalize calendar ids", () => {
+            expectPass(custom.plainDate().calendar("ISO8601"), "2024-03-15");
+        });
+
+        it("should reject unknown calendars at schema construction", () => {
+            assert.throws(() => custom.plainDate().calendar("martian"));
+            assert.throws(() => custom.plainDate().calendar([]));
+            assert.throws(() => custom.plainDate().withCalendar("martian"));
+        });
+    });
+
+    describe("withCalendar", () => {
+        it("should convert values into the target calendar", () => {
+            const value = expectPass(custom.plainDate().withCalendar("iso8601"), "2024-03-15[u-ca=hebrew]");
+            assert.equal(value.calendarId, "iso8601");
+            assert.equal(value.toString(), "2024-03-15");
+        });
+
+        it("should run after .calendar() in chain order", () => {
+            const schema = custom.plainDate().calendar(["iso8601", "gregory"]).withCalendar("iso8601");
+            expectError(schema, "2024-03-15[u-ca=hebrew]", "temporal.plainDate.calendar");
+            assert.equal(expectPass(schema, "2024-03-15[u-ca=gregory]").calendarId, "iso8601");
+        });
+
+        it("should fail instead of converting when convert is disabled", () => {
+            const schema = custom.plainDate().withCalendar("iso8601");
+            const { error } = schema.validate(Temporal.PlainDate.from("2024-03-15[u-ca=hebrew]"), { convert: false });
+            assert.equal(error?.details[0].type, "temporal.plainDate.calendar");
+        });
+
+        it("should show up in .describe()", () => {
+            const description = custom.plainDate().calendar("iso8601").withCalendar("gregory").describe();
+            assert.deepEqual(description.rules, [
+                { name: "calendar", args: { calendars: ["iso8601"] } },
+                { name: "withCalendar", args: { calendar: "gregory" } },
+            ]);
+        });
+    });
+
     // ── Joi integration ───────────────────────────────────────
 
     describe("joi integration", () => {
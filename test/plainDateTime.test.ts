@@ -99,6 +99,13 @@ describe("plainDateTime", () => {
             const yesterday = Temporal.Now.plainDateTimeISO().subtract({ days: 1 });
             expectError(schema, yesterday.toString(), "temporal.plainDateTime.min");
         });
+
+        it("should accept a relative 'now' expression", () => {
+            const schema = custom.plainDateTime().min("now-PT2H");
+            const now = Temporal.Now.plainDateTimeISO();
+            expectPass(schema, now.subtract({ minutes: 90 }).toString());
+            expectError(schema, now.subtract({ hours: 3 }).toString(), "temporal.plainDateTime.min");
+        });
     });
 
     describe("max", () => {
@@ -149,6 +156,113 @@ describe("plainDateTime", () => {
         });
     });
 
+    // ── Step rule ─────────────────────────────────────────────
+
+    describe("step", () => {
+        it("should check alignment against the wall clock", () => {
+            const schema = custom.plainDateTime().step("PT15M");
+            expectPass(schema, "2024-03-15T09:45:00");
+            expectError(schema, "2024-03-15T09:45:01", "temporal.plainDateTime.step");
+        });
+
+        it("should restart daily steps from a time-of-day anchor", () => {
+            const schema = custom.plainDateTime().step("PT90M", { anchor: "08:00" });
+            expectPass(schema, "2024-03-15T09:30");
+            expectPass(schema, "2024-03-16T11:00");
+            expectError(schema, "2024-03-16T10:00", "temporal.plainDateTime.step");
+        });
+
+        it("should count from a fixed date-time anchor", () => {
+            const schema = custom.plainDateTime().step("P2D", { anchor: "2024-03-01T00:00" });
+            expectPass(schema, "2024-03-05T00:00");
+            expectError(schema, "2024-03-06T00:00", "temporal.plainDateTime.step");
+        });
+
+        it("should round across midnight", () => {
+            const schema = custom.plainDateTime().step("PT30M", { round: true });
+            const result = expectPass(schema, "2024-03-15T23:50");
+            assert.equal(result.toString(), "2024-03-16T00:00:00");
+        });
+    });
+
+    // ── Precision and rounding ────────────────────────────────
+
+    describe("precision and round", () => {
+        it("should reject values finer than the precision", () => {
+            const schema = custom.plainDateTime().precision("second");
+            expectPass(schema, "2024-01-15T09:30:15");
+            expectError(schema, "2024-01-15T09:30:15.5", "temporal.plainDateTime.precision");
+        });
+
+        it("should round across midnight", () => {
+            const schema = custom.plainDateTime().round({ smallestUnit: "hour" });
+            assert.equal(expectPass(schema, "2024-01-15T23:45").toString(), "2024-01-16T00:00:00");
+        });
+    });
+
+    // ── Strict format ─────────────────────────────────────────
+
+    describe("strict", () => {
+        it("should pass for a date with a time part", () => {
+            expectPass(custom.plainDateTime().strict(), "2024-03-15T10:00:00");
+        });
+
+        it("should fail for a bare date", () => {
+            expectError(custom.plainDateTime().strict(), "2024-03-15", "temporal.plainDateTime.format");
+        });
+
+        it("should fail for offsets, annotations and a space separator", () => {
+            const schema = custom.plainDateTime().strict();
+            expectError(schema, "2024-03-15T10:00:00Z", "temporal.plainDateTime.format");
+            expectError(schema, "2024-03-15T10:00:00[UTC]", "temporal.plainDateTime.format");
+            expectError(schema, "2024-03-15 10:00:00", "temporal.plainDateTime.format");
+        });
+    });
+
+    // ── Property bags ─────────────────────────────────────────
+
+    describe("propertyBag", () => {
+        it("should coerce date and time fields together", () => {
+            const schema = custom.plainDateTime().propertyBag();
+            assert.equal(expectPass(schema, { year: 2024, month: 3, day: 15, hour: 9 }).toString(), "2024-03-15T09:00:00");
+        });
+
+        it("should require the date fields", () => {
+            expectError(custom.plainDateTime().propertyBag(), { hour: 9, minute: 30 }, "temporal.plainDateTime.missingField");
+        });
+    });
+
+    // ── Custom formats ────────────────────────────────────────
+
+    describe("format", () => {
+        it("should parse date and time tokens together", () => {
+            const schema = custom.plainDateTime().format("DD/MM/YYYY HH:mm");
+            assert.equal(expectPass(schema, "15/03/2024 09:30").toString(), "2024-03-15T09:30:00");
+        });
+    });
+
+    // ── Lenient input ─────────────────────────────────────────
+
+    describe("lenient", () => {
+        it("should accept the RFC 3339 space separator with .strict()", () => {
+            const schema = custom.plainDateTime().strict().lenient();
+            assert.equal(expectPass(schema, "2024-03-15 14:30").toString(), "2024-03-15T14:30:00");
+            expectError(custom.plainDateTime().strict(), "2024-03-15 14:30", "temporal.plainDateTime.format");
+        });
+
+        it("should be turned off with .lenient(false)", () => {
+            expectError(custom.plainDateTime().lenient().lenient(false), " 2024-03-15T14:30 ", "temporal.plainDateTime.base");
+        });
+    });
+
+    // ── Calendars ─────────────────────────────────────────────
+
+    describe("calendar", () => {
+        it("should restrict calendars", () => {
+            expectError(custom.plainDateTime().calendar("iso8601"), "2024-03-15T10:00[u-ca=islamic-civil]", "temporal.plainDateTime.calendar");
+        });
+    });
+
     // ── Joi integration ───────────────────────────────────────
 
     describe("joi integration", () => {
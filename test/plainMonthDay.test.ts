@@ -1,5 +1,6 @@
 import { describe, it } from "node:test";
 import assert from "node:assert/strict";
+import Joi from "joi";
 import { custom, expectPass, expectError } from "./helpers.js";
 
 describe("plainMonthDay", () => {
@@ -70,6 +71,140 @@ describe("plainMonthDay", () => {
     // ── No comparison rules ───────────────────────────────────
     // PlainMonthDay has no natural total ordering, so no min/max/gt/lt rules.
 
+    // ── Strict format ─────────────────────────────────────────
+
+    describe("strict", () => {
+        it("should pass for MM-DD", () => {
+            expectPass(custom.plainMonthDay().strict(), "03-15");
+        });
+
+        it("should fail for the --MM-DD form and full dates", () => {
+            expectError(custom.plainMonthDay().strict(), "--03-15", "temporal.plainMonthDay.format");
+            expectError(custom.plainMonthDay().strict(), "2024-03-15", "temporal.plainMonthDay.format");
+        });
+    });
+
+    // ── Property bags ─────────────────────────────────────────
+
+    describe("propertyBag", () => {
+        it("should coerce { month, day }", () => {
+            assert.equal(expectPass(custom.plainMonthDay().propertyBag(), { month: 12, day: 25 }).toString(), "12-25");
+        });
+
+        it("should fail with missingField without a day", () => {
+            expectError(custom.plainMonthDay().propertyBag(), { month: 12 }, "temporal.plainMonthDay.missingField");
+        });
+    });
+
+    // ── Custom formats ────────────────────────────────────────
+
+    describe("format", () => {
+        it("should parse a token pattern", () => {
+            assert.equal(expectPass(custom.plainMonthDay().format("DD.MM"), "29.02").toString(), "02-29");
+        });
+    });
+
+    // ── Calendars ─────────────────────────────────────────────
+
+    describe("calendar", () => {
+        it("should restrict non-ISO month-days", () => {
+            expectError(custom.plainMonthDay().calendar("iso8601"), "2024-03-15[u-ca=hebrew]", "temporal.plainMonthDay.calendar");
+        });
+
+        it("should not offer withCalendar, since month-days don't map between calendars", () => {
+            assert.throws(() => custom.plainMonthDay().withCalendar("iso8601"), /different dates each year/);
+        });
+    });
+
+    // ── Month-day rules ───────────────────────────────────────
+
+    describe("between", () => {
+        it("should pass inside an ordinary range, inclusive", () => {
+            const schema = custom.plainMonthDay().between("06-01", "08-31");
+            expectPass(schema, "06-01");
+            expectPass(schema, "08-31");
+            const error = expectError(schema, "09-01", "temporal.plainMonthDay.between");
+            assert.equal(error.details[0].context?.start, "06-01");
+        });
+
+        it("should wrap around the year end when start is after end", () => {
+            const schema = custom.plainMonthDay().between("11-15", "02-15");
+            expectPass(schema, "12-31");
+            expectPass(schema, "01-01");
+            expectPass(schema, "02-15");
+            expectError(schema, "02-16", "temporal.plainMonthDay.between");
+            expectError(schema, "11-14", "temporal.plainMonthDay.between");
+        });
+
+        it("should place February 29 between February 28 and March 1", () => {
+            expectPass(custom.plainMonthDay().between("02-29", "03-01"), "02-29");
+            expectError(custom.plainMonthDay().between("03-01", "12-31"), "02-29", "temporal.plainMonthDay.between");
+        });
+
+        it("should fail with calendar for a non-ISO month-day", () => {
+            const schema = custom.plainMonthDay().propertyBag().between("01-01", "12-31");
+            expectError(schema, { monthCode: "M02", day: 29, calendar: "hebrew" }, "temporal.plainMonthDay.calendar");
+        });
+
+        it("should reject invalid bounds at schema construction", () => {
+            assert.throws(() => custom.plainMonthDay().between("13-01", "02-15"));
+        });
+    });
+
+    describe("notLeapDay", () => {
+        it("should reject February 29 only", () => {
+            expectError(custom.plainMonthDay().notLeapDay(), "02-29", "temporal.plainMonthDay.leapDay");
+            expectPass(custom.plainMonthDay().notLeapDay(), "02-28");
+        });
+
+        it("should pass the 29th of a non-ISO month coded M02", () => {
+            expectPass(custom.plainMonthDay().propertyBag().notLeapDay(), { monthCode: "M02", day: 29, calendar: "hebrew" });
+        });
+    });
+
+    describe("validIn", () => {
+        it("should check the month-day exists in the year", () => {
+            const error = expectError(custom.plainMonthDay().validIn(2023), "02-29", "temporal.plainMonthDay.validIn");
+            assert.equal(error.details[0].context?.year, 2023);
+            expectPass(custom.plainMonthDay().validIn(2024), "02-29");
+        });
+
+        it("should read the year from a sibling field", () => {
+            const schema = custom.object({
+                year: Joi.number(),
+                anniversary: custom.plainMonthDay().validIn(Joi.ref("year")),
+            });
+            expectPass(schema, { year: 2028, anniversary: "02-29" });
+            expectError(schema, { year: 2027, anniversary: "02-29" }, "temporal.plainMonthDay.validIn");
+        });
+
+        it("should accept a referenced date-like value's year", () => {
+            const schema = custom.object({
+                start: custom.plainDate(),
+                anniversary: custom.plainMonthDay().validIn(Joi.ref("start")),
+            });
+            expectError(schema, { start: "2023-01-10", anniversary: "02-29" }, "temporal.plainMonthDay.validIn");
+        });
+    });
+
+    describe("toPlainDate", () => {
+        it("should convert to a date in the year", () => {
+            const result = expectPass(custom.plainMonthDay().toPlainDate(2025), "12-25");
+            assert(result instanceof Temporal.PlainDate);
+            assert.equal(result.toString(), "2025-12-25");
+        });
+
+        it("should fail when the date doesn't exist in the year", () => {
+            expectError(custom.plainMonthDay().toPlainDate(2025), "02-29", "temporal.plainMonthDay.validIn");
+        });
+
+        it("should keep the month-day with convert: false", () => {
+            const { error, value } = custom.plainMonthDay().toPlainDate(2025).validate(Temporal.PlainMonthDay.from("12-25"), { convert: false });
+            assert.equal(error, undefined);
+            assert(value instanceof Temporal.PlainMonthDay);
+        });
+    });
+
     // ── Joi integration ───────────────────────────────────────
 
     describe("joi integration", () => {
@@ -1,6 +1,7 @@
 import { describe, it } from "node:test";
 import assert from "node:assert/strict";
-import { custom, expectPass, expectError } from "./helpers.js";
+import Joi from "joi";
+import { custom, customAt, expectPass, expectError } from "./helpers.js";
 
 describe("plainTime", () => {
     // ── Coercion ──────────────────────────────────────────────
@@ -147,6 +148,215 @@ describe("plainTime", () => {
         });
     });
 
+    describe("within", () => {
+        it("should not be available, since times wrap at midnight", () => {
+            assert.equal(typeof (custom.plainTime() as any).within, "undefined");
+        });
+    });
+
+    describe("shifted limits", () => {
+        it("should reject add and subtract settings at schema construction", () => {
+            assert.throws(() => custom.plainTime().min("10:00", { add: "PT20H" }));
+            assert.throws(() => custom.plainTime().max(Joi.ref("start"), { subtract: "PT1H" }));
+        });
+
+        it("should reject relative limits at schema construction", () => {
+            assert.throws(() => custom.plainTime().min("now+PT2H"));
+            assert.throws(() => custom.plainTime().max({ from: "10:00", add: "PT1H" }));
+        });
+
+        it("should still accept 'now'", () => {
+            const schema = customAt("2024-03-15T12:00:00Z").plainTime().min("now", { timeZone: "UTC" });
+            expectPass(schema, "12:00");
+            expectError(schema, "11:59", "temporal.plainTime.min");
+        });
+    });
+
+    // ── Step rule ─────────────────────────────────────────────
+
+    describe("step", () => {
+        it("should pass for times on a step boundary", () => {
+            const schema = custom.plainTime().step("PT15M");
+            expectPass(schema, "09:45");
+            expectPass(schema, "00:00");
+        });
+
+        it("should fail for times off a step boundary", () => {
+            const schema = custom.plainTime().step("PT15M");
+            const error = expectError(schema, "09:50", "temporal.plainTime.step");
+            assert(error.message.includes("PT15M"));
+        });
+
+        it("should count steps from the anchor", () => {
+            const schema = custom.plainTime().step("PT45M", { anchor: "08:00" });
+            expectPass(schema, "08:45");
+            expectPass(schema, "07:15");
+            expectError(schema, "09:00", "temporal.plainTime.step");
+        });
+
+        it("should be available as .multipleOf()", () => {
+            expectError(custom.plainTime().multipleOf("PT30M"), "10:15", "temporal.plainTime.step");
+        });
+
+        it("should round to the nearest step when round is set", () => {
+            const schema = custom.plainTime().step("PT15M", { round: true });
+            assert.equal(expectPass(schema, "09:52").toString(), "09:45:00");
+            assert.equal(expectPass(schema, "09:53").toString(), "10:00:00");
+            assert.equal(expectPass(schema, "23:55").toString(), "00:00:00");
+        });
+
+        it("should round down or up with floor and ceil", () => {
+            assert.equal(expectPass(custom.plainTime().step("PT15M", { round: "floor" }), "09:59").toString(), "09:45:00");
+            assert.equal(expectPass(custom.plainTime().step("PT15M", { round: "ceil" }), "09:46").toString(), "10:00:00");
+        });
+
+        it("should not round when convert is disabled", () => {
+            const schema = custom.plainTime().step("PT15M", { round: true });
+            const { error } = schema.validate(Temporal.PlainTime.from("09:52"), { convert: false });
+            assert.equal(error?.details[0].type, "temporal.plainTime.step");
+        });
+
+        it("should reject invalid increments and settings at schema construction", () => {
+            assert.throws(() => custom.plainTime().step("P1M"));
+            assert.throws(() => custom.plainTime().step("-PT15M"));
+            assert.throws(() => custom.plainTime().step("PT15M", { anchor: "soon" }));
+            assert.throws(() => custom.plainTime().step("PT15M", { round: "sideways" }));
+        });
+    });
+
+    // ── Precision and rounding ────────────────────────────────
+
+    describe("precision", () => {
+        it("should pass for values no finer than the unit", () => {
+            const schema = custom.plainTime().precision("millisecond");
+            expectPass(schema, "09:30:15.123");
+            expectPass(schema, "09:30");
+        });
+
+        it("should fail for values with finer components", () => {
+            const schema = custom.plainTime().precision("millisecond");
+            const error = expectError(schema, "09:30:15.123456", "temporal.plainTime.precision");
+            assert.equal(error.details[0].context?.unit, "millisecond");
+        });
+
+        it("should accept plural unit names", () => {
+            expectError(custom.plainTime().precision("minutes"), "09:30:15", "temporal.plainTime.precision");
+        });
+
+        it("should reject non-time units at schema construction", () => {
+            assert.throws(() => custom.plainTime().precision("day"));
+            assert.throws(() => custom.plainTime().precision("fortnight"));
+        });
+    });
+
+    describe("round", () => {
+        it("should return the rounded value", () => {
+            const schema = custom.plainTime().round({ smallestUnit: "minute" });
+            assert.equal(expectPass(schema, "09:30:29").toString(), "09:30:00");
+            assert.equal(expectPass(schema, "09:30:30").toString(), "09:31:00");
+        });
+
+        it("should honor roundingMode and roundingIncrement", () => {
+            const schema = custom.plainTime().round({ smallestUnit: "minute", roundingIncrement: 15, roundingMode: "floor" });
+            assert.equal(expectPass(schema, "09:44:59").toString(), "09:30:00");
+        });
+
+        it("should accept a unit name as shorthand", () => {
+            assert.equal(expectPass(custom.plainTime().round("second"), "09:30:15.6").toString(), "09:30:16");
+        });
+
+        it("should fail instead of rounding when convert is disabled", () => {
+            const schema = custom.plainTime().round("minute");
+            const { error } = schema.validate(Temporal.PlainTime.from("09:30:15"), { convert: false });
+            assert.equal(error?.details[0].type, "temporal.plainTime.round");
+            assert.equal(schema.validate(Temporal.PlainTime.from("09:30"), { convert: false }).error, undefined);
+        });
+
+        it("should reject invalid options at schema construction", () => {
+            assert.throws(() => custom.plainTime().round({ smallestUnit: "day" }));
+            assert.throws(() => custom.plainTime().round({ smallestUnit: "minute", roundingMode: "sideways" }));
+            assert.throws(() => custom.plainTime().round({ smallestUnit: "minute", roundingIncrement: 7 }));
+        });
+
+        it("should show up in .describe()", () => {
+            const description = custom.plainTime().precision("milliseconds").round("minute").describe();
+            assert.deepEqual(description.rules, [
+                { name: "precision", args: { unit: "millisecond" } },
+                { name: "round", args: { options: { smallestUnit: "minute" } } },
+            ]);
+        });
+    });
+
+    // ── Strict format ─────────────────────────────────────────
+
+    describe("strict", () => {
+        it("should pass for HH:mm with optional seconds and fraction", () => {
+            const schema = custom.plainTime().strict();
+            expectPass(schema, "09:30");
+            expectPass(schema, "09:30:15.123456789");
+        });
+
+        it("should fail for date-times, offsets and basic format", () => {
+            const schema = custom.plainTime().strict();
+            expectError(schema, "2024-03-15T09:30", "temporal.plainTime.format");
+            expectError(schema, "09:30Z", "temporal.plainTime.format");
+            expectError(schema, "T09:30", "temporal.plainTime.format");
+            expectError(schema, "0930", "temporal.plainTime.format");
+        });
+    });
+
+    // ── Property bags ─────────────────────────────────────────
+
+    describe("propertyBag", () => {
+        it("should coerce { hour, minute }", () => {
+            assert.equal(expectPass(custom.plainTime().propertyBag(), { hour: 9, minute: 30 }).toString(), "09:30:00");
+        });
+
+        it("should fail for an empty object", () => {
+            expectError(custom.plainTime().propertyBag(), {}, "temporal.plainTime.missingField");
+        });
+
+        it("should clamp or reject out-of-range fields", () => {
+            expectError(custom.plainTime().propertyBag(), { hour: 25 }, "temporal.plainTime.overflow");
+            assert.equal(expectPass(custom.plainTime().propertyBag().overflow("constrain"), { hour: 25 }).toString(), "23:00:00");
+        });
+
+        it("should fail with base for a non-numeric field", () => {
+            expectError(custom.plainTime().propertyBag(), { hour: "x" }, "temporal.plainTime.base");
+            expectError(custom.plainTime().propertyBag(), { hour: 9, minute: {} }, "temporal.plainTime.base");
+            expectError(custom.plainTime().propertyBag(), { hour: 9.5 }, "temporal.plainTime.base");
+        });
+    });
+
+    // ── Epoch and Date inputs ─────────────────────────────────
+
+    describe("epoch", () => {
+        it("should take the wall-clock time in the given time zone", () => {
+            const schema = custom.plainTime().epoch("seconds", { timeZone: "Asia/Kolkata" });
+            assert.equal(expectPass(schema, 1710496800).toString(), "15:30:00");
+        });
+    });
+
+    // ── Custom formats ────────────────────────────────────────
+
+    describe("format", () => {
+        it("should parse 12-hour clocks", () => {
+            const schema = custom.plainTime().format("h:mm A");
+            assert.equal(expectPass(schema, "9:05 PM").toString(), "21:05:00");
+            assert.equal(expectPass(schema, "12:05 am").toString(), "00:05:00");
+            expectError(schema, "13:05 PM", "temporal.plainTime.format");
+        });
+
+        it("should parse fractional seconds", () => {
+            const value = expectPass(custom.plainTime().format("HH:mm:ss.SSSSSS"), "09:05:01.123456");
+            assert.equal(value.toString(), "09:05:01.123456");
+        });
+
+        it("should require A with a 12-hour token", () => {
+            assert.throws(() => custom.plainTime().format("hh:mm"));
+        });
+    });
+
     // ── Joi integration ───────────────────────────────────────
 
     describe("joi integration", () => {
@@ -1,6 +1,6 @@
 import { describe, it } from "node:test";
 import assert from "node:assert/strict";
-import { custom, expectPass, expectError } from "./helpers.js";
+import { custom, customAt, expectPass, expectError } from "./helpers.js";
 
 describe("plainYearMonth", () => {
     // ── Coercion ──────────────────────────────────────────────
@@ -116,6 +116,76 @@ describe("plainYearMonth", () => {
         });
     });
 
+    describe("now", () => {
+        const fixed = customAt("2024-03-15T12:00:00Z");
+
+        it("should resolve 'now' to the current month", () => {
+            const schema = fixed.plainYearMonth().min("now");
+            expectPass(schema, "2024-03");
+            expectError(schema, "2024-02", "temporal.plainYearMonth.min");
+        });
+
+        it("should resolve relative expressions", () => {
+            const schema = fixed.plainYearMonth().max("now+P6M");
+            expectPass(schema, "2024-09");
+            expectError(schema, "2024-10", "temporal.plainYearMonth.max");
+        });
+
+        it("should read the current month in the rule's timeZone", () => {
+            const schema = customAt("2024-03-31T20:00:00Z")
+                .plainYearMonth()
+                .min("now", { timeZone: "Asia/Tokyo" });
+            expectError(schema, "2024-03", "temporal.plainYearMonth.min");
+        });
+    });
+
+    // ── Strict format ─────────────────────────────────────────
+
+    describe("strict", () => {
+        it("should pass for YYYY-MM", () => {
+            expectPass(custom.plainYearMonth().strict(), "2024-03");
+        });
+
+        it("should fail for full dates and basic format", () => {
+            expectError(custom.plainYearMonth().strict(), "2024-03-15", "temporal.plainYearMonth.format");
+            expectError(custom.plainYearMonth().strict(), "202403", "temporal.plainYearMonth.format");
+        });
+    });
+
+    // ── Property bags ─────────────────────────────────────────
+
+    describe("propertyBag", () => {
+        it("should coerce { year, month }", () => {
+            assert.equal(expectPass(custom.plainYearMonth().propertyBag(), { year: 2024, month: 3 }).toString(), "2024-03");
+        });
+
+        it("should fail with unknownField for a day", () => {
+            expectError(custom.plainYearMonth().propertyBag(), { year: 2024, month: 3, day: 1 }, "temporal.plainYearMonth.unknownField");
+        });
+    });
+
+    // ── Custom formats ────────────────────────────────────────
+
+    describe("format", () => {
+        it("should parse a token pattern", () => {
+            assert.equal(expectPass(custom.plainYearMonth().format("MM/YYYY"), "03/2024").toString(), "2024-03");
+        });
+    });
+
+    // ── Calendars ─────────────────────────────────────────────
+
+    describe("calendar", () => {
+        it("should restrict non-ISO year-months", () => {
+            // Non-ISO year-months need a reference day in ISO strings.
+            expectError(custom.plainYearMonth().calendar("iso8601"), "2024-03-15[u-ca=hebrew]", "temporal.plainYearMonth.calendar");
+            expectPass(custom.plainYearMonth().calendar("hebrew"), "2024-03-15[u-ca=hebrew]");
+        });
+
+        it("should not offer withCalendar, since months don't line up across calendars", () => {
+            assert.throws(() => custom.plainYearMonth().withCalendar("iso8601"), /don't line up/);
+        });
+    });
+
     // ── Joi integration ───────────────────────────────────────
 
     describe("joi integration", () => {
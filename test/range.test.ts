@@ -0,0 +1,142 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { custom, expectPass, expectError } from "./helpers.js";
+
+describe("temporalRange", () => {
+    // ── Order ─────────────────────────────────────────────────
+
+    describe("order", () => {
+        const schema = custom.object({ start: custom.plainDate(), end: custom.plainDate() }).temporalRange("start", "end");
+
+        it("should pass when end is after or equal to start", () => {
+            expectPass(schema, { start: "2024-03-01", end: "2024-03-02" });
+            expectPass(schema, { start: "2024-03-01", end: "2024-03-01" });
+        });
+
+        it("should fail when end is before start", () => {
+            const error = expectError(schema, { start: "2024-03-02", end: "2024-03-01" }, "temporal.range.order");
+            assert.equal(error.details[0].context?.start, "start");
+            assert.equal(error.details[0].context?.end, "end");
+        });
+
+        it("should fail on equal values with allowEqual: false", () => {
+            const strict = custom.object({ start: custom.plainDate(), end: custom.plainDate() })
+                .temporalRange("start", "end", { allowEqual: false });
+            expectError(strict, { start: "2024-03-01", end: "2024-03-01" }, "temporal.range.equal");
+        });
+
+        it("should skip missing fields", () => {
+            expectPass(schema, { start: "2024-03-02" });
+        });
+
+        it("should order any number of fields", () => {
+            const audit = custom.object({
+                created: custom.instant(),
+                updated: custom.instant(),
+                deleted: custom.instant(),
+            }).temporalRange("created", "updated", "deleted");
+            expectPass(audit, { created: "2024-03-01T00:00:00Z", updated: "2024-03-02T00:00:00Z", deleted: "2024-03-03T00:00:00Z" });
+            const error = expectError(
+                audit,
+                { created: "2024-03-01T00:00:00Z", updated: "2024-03-04T00:00:00Z", deleted: "2024-03-03T00:00:00Z" },
+                "temporal.range.order",
+            );
+            assert.equal(error.details[0].context?.start, "updated");
+            expectPass(audit, { created: "2024-03-01T00:00:00Z", deleted: "2024-03-03T00:00:00Z" });
+        });
+    });
+
+    // ── Mixed types ───────────────────────────────────────────
+
+    describe("mixed types", () => {
+        it("should compare a date with a date-time at midnight", () => {
+            const schema = custom.object({ start: custom.plainDateTime(), end: custom.plainDate() }).temporalRange("start", "end");
+            expectPass(schema, { start: "2024-03-01T10:00:00", end: "2024-03-02" });
+            expectError(schema, { start: "2024-03-02T10:00:00", end: "2024-03-02" }, "temporal.range.order");
+        });
+
+        it("should compare zoned values with instants", () => {
+            const schema = custom.object({ start: custom.zonedDateTime(), end: custom.instant() }).temporalRange("start", "end");
+            expectPass(schema, { start: "2024-03-01T10:00:00+01:00[Europe/Paris]", end: "2024-03-01T09:00:00Z" });
+            expectError(schema, { start: "2024-03-01T10:00:00+01:00[Europe/Paris]", end: "2024-03-01T08:59:59Z" }, "temporal.range.order");
+        });
+
+        it("should fail for fields that can't be ordered", () => {
+            const schema = custom.object({ start: custom.plainTime(), end: custom.plainDate() }).temporalRange("start", "end");
+            expectError(schema, { start: "10:00", end: "2024-03-01" }, "temporal.range.incomparable");
+        });
+    });
+
+    // ── Length ────────────────────────────────────────────────
+
+    describe("length", () => {
+        const schema = custom.object({ start: custom.plainDateTime(), end: custom.plainDateTime() })
+            .temporalRange("start", "end", { minLength: "PT30M", maxLength: "P14D" });
+
+        it("should pass within the bounds", () => {
+            expectPass(schema, { start: "2024-03-01T10:00:00", end: "2024-03-01T10:30:00" });
+            expectPass(schema, { start: "2024-03-01T10:00:00", end: "2024-03-15T10:00:00" });
+        });
+
+        it("should fail when shorter than minLength", () => {
+            const error = expectError(schema, { start: "2024-03-01T10:00:00", end: "2024-03-01T10:29:00" }, "temporal.range.minLength");
+            assert.equal(error.details[0].context?.limit, "PT30M");
+        });
+
+        it("should fail when longer than maxLength", () => {
+            expectError(schema, { start: "2024-03-01T10:00:00", end: "2024-03-15T10:00:01" }, "temporal.range.maxLength");
+        });
+
+        it("should measure the span of times near midnight", () => {
+            const times = (settings: object) => custom.object({ start: custom.plainTime(), end: custom.plainTime() }).temporalRange("start", "end", settings);
+            expectPass(times({ maxLength: "PT1H" }), { start: "23:30:00", end: "23:45:00" });
+            expectError(times({ minLength: "PT2H" }), { start: "23:00:00", end: "23:30:00" }, "temporal.range.minLength");
+        });
+
+        it("should treat calendar lengths as longer than any span of times", () => {
+            const times = (settings: object) => custom.object({ start: custom.plainTime(), end: custom.plainTime() }).temporalRange("start", "end", settings);
+            expectPass(times({ maxLength: "P1M" }), { start: "10:00", end: "11:00" });
+            expectError(times({ minLength: "P1W" }), { start: "00:00", end: "23:59" }, "temporal.range.minLength");
+        });
+
+        it("should measure ranges that cross midnight", () => {
+            expectPass(schema, { start: "2024-03-01T23:45:00", end: "2024-03-02T00:15:00" });
+            expectError(schema, { start: "2024-03-01T23:45:00", end: "2024-03-02T00:14:00" }, "temporal.range.minLength");
+        });
+
+        it("should apply sub-day limits to dates", () => {
+            const dates = custom.object({ start: custom.plainDate(), end: custom.plainDate() }).temporalRange("start", "end", { minLength: "PT30M" });
+            expectError(dates, { start: "2024-03-01", end: "2024-03-01" }, "temporal.range.minLength");
+            expectPass(dates, { start: "2024-03-01", end: "2024-03-02" });
+        });
+
+        it("should measure calendar lengths on instants in UTC", () => {
+            const instants = custom.object({ start: custom.instant(), end: custom.instant() }).temporalRange("start", "end", { maxLength: "P1D" });
+            expectError(instants, { start: "2024-03-01T00:00:00Z", end: "2024-03-02T00:00:01Z" }, "temporal.range.maxLength");
+        });
+    });
+
+    // ── Schema construction ───────────────────────────────────
+
+    describe("schema construction", () => {
+        it("should reject fewer than two fields", () => {
+            assert.throws(() => custom.object().temporalRange("start"));
+        });
+
+        it("should reject invalid settings", () => {
+            assert.throws(() => custom.object().temporalRange("start", "end", { minLength: "30 minutes" }));
+            assert.throws(() => custom.object().temporalRange("start", "end", { allowEqual: "no" }));
+        });
+
+        it("should reject a minLength longer than maxLength", () => {
+            assert.throws(() => custom.object().temporalRange("start", "end", { minLength: "P2D", maxLength: "P1D" }));
+            assert.throws(() => custom.object().temporalRange("start", "end", { minLength: "P1M1D", maxLength: "P1M" }));
+            custom.object().temporalRange("start", "end", { minLength: "P30D", maxLength: "P1M" });
+        });
+
+        it("should show the fields and settings in .describe()", () => {
+            const description = custom.object().temporalRange("start", "end", { maxLength: "P14D" }).describe();
+            assert.deepEqual(description.rules[0].args, { fields: ["start", "end"], settings: { maxLength: "P14D" } });
+        });
+    });
+});
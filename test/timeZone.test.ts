@@ -0,0 +1,121 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import Joi from "joi";
+import { custom, expectPass, expectError } from "./helpers.js";
+
+describe("timeZone", () => {
+    // ── Coercion ──────────────────────────────────────────────
+
+    describe("coercion", () => {
+        it("should accept an IANA zone name", () => {
+            assert.equal(expectPass(custom.timeZone(), "America/New_York"), "America/New_York");
+        });
+
+        it("should canonicalize case and aliases", () => {
+            assert.equal(expectPass(custom.timeZone(), "america/new_york"), "America/New_York");
+            assert.equal(expectPass(custom.timeZone(), "US/Eastern"), "America/New_York");
+            assert.equal(expectPass(custom.timeZone(), "Etc/UTC"), "UTC");
+            assert.equal(expectPass(custom.timeZone(), "Asia/Kolkata"), "Asia/Kolkata");
+            assert.equal(expectPass(custom.timeZone(), "Asia/Calcutta"), "Asia/Kolkata");
+            assert.equal(expectPass(custom.timeZone(), "Europe/Kyiv"), "Europe/Kyiv");
+            assert.equal(expectPass(custom.timeZone(), "europe/kiev"), "Europe/Kyiv");
+        });
+
+        it("should normalize fixed offsets", () => {
+            assert.equal(expectPass(custom.timeZone(), "+0530"), "+05:30");
+        });
+
+        it("should reject a misspelled zone", () => {
+            expectError(custom.timeZone(), "America/New_Yrok", "temporal.timeZone.base");
+        });
+
+        it("should reject non-strings", () => {
+            expectError(custom.timeZone(), 5, "temporal.timeZone.base");
+            expectError(custom.timeZone(), {}, "temporal.timeZone.base");
+        });
+
+        it("should leave the value as given with convert: false", () => {
+            const { error, value } = custom.timeZone().validate("US/Eastern", { convert: false });
+            assert.equal(error, undefined);
+            assert.equal(value, "US/Eastern");
+        });
+    });
+
+    // ── Offsets and UTC ───────────────────────────────────────
+
+    describe("offsets and utc", () => {
+        it("should forbid fixed offsets", () => {
+            const schema = custom.timeZone().offsets(false);
+            expectError(schema, "+05:30", "temporal.timeZone.offset");
+            expectPass(schema, "Asia/Tokyo");
+        });
+
+        it("should treat Etc/GMT±N zones as fixed offsets", () => {
+            const schema = custom.timeZone().offsets(false);
+            expectError(schema, "Etc/GMT+5", "temporal.timeZone.offset");
+            expectError(schema, "etc/gmt-14", "temporal.timeZone.offset");
+        });
+
+        it("should forbid UTC and its aliases", () => {
+            const schema = custom.timeZone().utc(false);
+            expectError(schema, "UTC", "temporal.timeZone.utc");
+            expectError(schema, "Etc/GMT", "temporal.timeZone.utc");
+            expectPass(schema, "+00:00");
+        });
+
+        it("should allow them again when re-enabled", () => {
+            expectPass(custom.timeZone().offsets(false).offsets(), "+05:30");
+        });
+    });
+
+    // ── Regions ───────────────────────────────────────────────
+
+    describe("regions", () => {
+        const schema = custom.timeZone().regions(["Europe", "America"]);
+
+        it("should pass for zones in the listed regions", () => {
+            expectPass(schema, "Europe/Paris");
+            expectPass(schema, "America/Argentina/Buenos_Aires");
+        });
+
+        it("should check the canonical zone", () => {
+            expectPass(schema, "US/Pacific");
+        });
+
+        it("should fail for other regions, UTC and offsets", () => {
+            const error = expectError(schema, "Asia/Tokyo", "temporal.timeZone.regions");
+            assert.equal(error.details[0].context?.regions, "Europe or America");
+            expectError(schema, "UTC", "temporal.timeZone.regions");
+            expectError(schema, "+01:00", "temporal.timeZone.regions");
+        });
+
+        it("should reject an empty list at schema construction", () => {
+            assert.throws(() => custom.timeZone().regions([]));
+        });
+    });
+
+    // ── Joi integration ───────────────────────────────────────
+
+    describe("joi integration", () => {
+        it("should work inside Joi.object() next to zoned values", () => {
+            const schema = custom.object({
+                tz: custom.timeZone().required(),
+                at: custom.zonedDateTime().timezone(Joi.ref("tz")),
+            });
+            const { error, value } = schema.validate({ tz: "europe/paris", at: "2024-03-15T10:00:00+01:00[Europe/Paris]" });
+            assert.equal(error, undefined);
+            assert.equal(value.tz, "Europe/Paris");
+        });
+
+        it("should support .describe()", () => {
+            const description = custom.timeZone().offsets(false).regions("Europe").describe();
+            assert.equal(description.type, "timeZone");
+            assert.deepEqual(description.flags, { offsets: false });
+            assert.deepEqual(description.rules[0].args, { regions: "Europe" });
+        });
+
+        it("should support .allow(null)", () => {
+            assert.equal(expectPass(custom.timeZone().allow(null), null), null);
+        });
+    });
+});
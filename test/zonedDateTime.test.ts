@@ -1,6 +1,7 @@
 import { describe, it } from "node:test";
 import assert from "node:assert/strict";
-import { custom, expectPass, expectError } from "./helpers.js";
+import Joi from "joi";
+import { custom, customAt, expectPass, expectError } from "./helpers.js";
 
 describe("zonedDateTime", () => {
     // ── Coercion ──────────────────────────────────────────────
@@ -127,6 +128,113 @@ describe("zonedDateTime", () => {
         });
     });
 
+    describe("now", () => {
+        const fixed = customAt("2024-03-09T12:00:00Z");
+
+        it("should resolve 'now' to the current exact time", () => {
+            const schema = fixed.zonedDateTime().min("now");
+            expectPass(schema, "2024-03-09T13:00:00+01:00[Europe/Berlin]");
+            expectError(schema, "2024-03-09T06:59:59-05:00[America/New_York]", "temporal.zonedDateTime.min");
+        });
+
+        it("should report 'now' in the value's own time zone", () => {
+            const schema = fixed.zonedDateTime().min("now");
+            const error = expectError(schema, "2024-03-09T00:00:00+09:00[Asia/Tokyo]");
+            assert.equal(error.details[0].context?.limit, "2024-03-09T21:00:00+09:00[Asia/Tokyo]");
+        });
+
+        it("should add calendar days across DST in the value's zone", () => {
+            // New York springs forward on 2024-03-10, so P1D is 23 hours there
+            const schema = fixed.zonedDateTime().max("now+P1D");
+            expectPass(schema, "2024-03-10T07:00:00-04:00[America/New_York]");
+            expectError(schema, "2024-03-10T07:00:01-04:00[America/New_York]", "temporal.zonedDateTime.max");
+        });
+    });
+
+    describe("step", () => {
+        it("should check alignment against the local wall clock", () => {
+            const schema = custom.zonedDateTime().step("PT15M");
+            expectPass(schema, "2024-03-15T10:45:00+05:45[Asia/Kathmandu]");
+            expectError(schema, "2024-03-15T10:50:00+05:45[Asia/Kathmandu]", "temporal.zonedDateTime.step");
+        });
+
+        it("should round and keep the time zone", () => {
+            const schema = custom.zonedDateTime().step("PT1H", { round: true });
+            const result = expectPass(schema, "2024-03-15T10:31:00+01:00[Europe/Paris]");
+            assert.equal(result.toString(), "2024-03-15T11:00:00+01:00[Europe/Paris]");
+        });
+    });
+
+    // ── Precision and rounding ────────────────────────────────
+
+    describe("precision and round", () => {
+        it("should reject values finer than the precision", () => {
+            const schema = custom.zonedDateTime().precision("millisecond");
+            expectPass(schema, "2024-01-15T09:30:00.123-05:00[America/New_York]");
+            expectError(schema, "2024-01-15T09:30:00.1234-05:00[America/New_York]", "temporal.zonedDateTime.precision");
+        });
+
+        it("should round in the value's time zone", () => {
+            const schema = custom.zonedDateTime().round({ smallestUnit: "minute", roundingMode: "ceil" });
+            const value = expectPass(schema, "2024-01-15T09:30:01+05:30[Asia/Kolkata]");
+            assert.equal(value.toString(), "2024-01-15T09:31:00+05:30[Asia/Kolkata]");
+        });
+    });
+
+    // ── Same day ──────────────────────────────────────────────
+
+    describe("sameDayAs", () => {
+        it("should compare calendar days in the value's own zone", () => {
+            const schema = custom.zonedDateTime().sameDayAs("2024-03-15T00:00:00+09:00[Asia/Tokyo]");
+            expectPass(schema, "2024-03-15T23:30:00-04:00[America/New_York]");
+            const error = expectError(schema, "2024-03-16T00:30:00-04:00[America/New_York]", "temporal.zonedDateTime.sameDay");
+            assert.equal(error.details[0].context?.limit, "2024-03-15");
+        });
+
+        it("should compare across types in the given timeZone", () => {
+            const schema = custom.object({
+                sent: custom.instant(),
+                seen: custom.zonedDateTime().sameDayAs(custom.ref("sent"), { timeZone: "Asia/Tokyo" }),
+            });
+            // 20:00Z is already the 11th in Tokyo
+            expectPass(schema, { sent: "2024-03-10T20:00:00Z", seen: "2024-03-11T08:00:00+09:00[Asia/Tokyo]" });
+            expectError(schema, { sent: "2024-03-10T10:00:00Z", seen: "2024-03-11T08:00:00+09:00[Asia/Tokyo]" }, "temporal.zonedDateTime.sameDay");
+        });
+
+        it("should parse string limits as whichever type they are", () => {
+            expectPass(custom.instant().sameDayAs("2024-03-15"), "2024-03-15T23:00:00Z");
+            const schema = custom.object({
+                sent: Joi.string(),
+                at: custom.instant().sameDayAs(Joi.ref("sent")),
+            });
+            expectPass(schema, { sent: "2024-03-15T23:30:00+01:00[Europe/Paris]", at: "2024-03-15T10:00:00Z" });
+            expectError(schema, { sent: "tomorrow", at: "2024-03-15T10:00:00Z" }, "any.ref");
+        });
+
+        it("should reject unparseable limits at schema construction", () => {
+            assert.throws(() => custom.instant().sameDayAs("tomorrow"));
+        });
+
+        it("should compare with a plain date-time's date", () => {
+            const schema = custom.object({
+                local: custom.plainDateTime(),
+                at: custom.zonedDateTime().sameDayAs(custom.ref("local")),
+            });
+            expectPass(schema, { local: "2024-03-15T08:00:00", at: "2024-03-15T23:00:00+01:00[Europe/Paris]" });
+        });
+    });
+
+    // ── Days of the week ──────────────────────────────────────
+
+    describe("daysOfWeek", () => {
+        it("should use the value's own zone unless a timeZone is given", () => {
+            // Friday evening in New York, Saturday morning in Tokyo
+            const input = "2024-03-15T20:00:00-04:00[America/New_York]";
+            expectPass(custom.zonedDateTime().weekday(), input);
+            expectError(custom.zonedDateTime().weekday({ timeZone: "Asia/Tokyo" }), input, "temporal.zonedDateTime.dayOfWeek");
+        });
+    });
+
     // ── Timezone rule ─────────────────────────────────────────
 
     describe("timezone", () => {
@@ -157,6 +265,232 @@ describe("zonedDateTime", () => {
                 "temporal.zonedDateTime.timezone",
             );
         });
+
+        it("should accept an array of time zones", () => {
+            const schema = custom.zonedDateTime().timezone(["Europe/Paris", "Europe/Berlin"]);
+            expectPass(schema, "2021-06-15T12:00:00+02:00[Europe/Berlin]");
+            const error = expectError(schema, "2021-06-15T12:00:00+01:00[Europe/London]", "temporal.zonedDateTime.timezone");
+            assert(error.message.includes("Europe/Paris or Europe/Berlin"));
+        });
+
+        it("should treat aliases of the same zone as equal", () => {
+            expectPass(custom.zonedDateTime().timezone("Asia/Kolkata"), "2021-06-15T12:00:00+05:30[Asia/Calcutta]");
+            expectPass(custom.zonedDateTime().timezone("UTC"), "2021-06-15T12:00:00+00:00[Etc/UTC]");
+        });
+
+        it("should resolve the time zone from a sibling field", () => {
+            const schema = custom.object({
+                tz: custom.string(),
+                at: custom.zonedDateTime().timezone(custom.ref("tz")),
+            });
+            assert.equal(schema.validate({ tz: "Asia/Tokyo", at: "2021-06-15T12:00:00+09:00[Asia/Tokyo]" }).error, undefined);
+            const { error } = schema.validate({ tz: "Asia/Tokyo", at: "2021-06-15T12:00:00+00:00[UTC]" });
+            assert.equal(error?.details[0].type, "temporal.zonedDateTime.timezone");
+        });
+
+        it("should fail with any.ref when the referenced value isn't a time zone", () => {
+            const schema = custom.object({
+                tz: custom.string(),
+                at: custom.zonedDateTime().timezone(custom.ref("tz")),
+            });
+            const { error } = schema.validate({ tz: "Mars/Olympus_Mons", at: "2021-06-15T12:00:00+00:00[UTC]" });
+            assert.equal(error?.details[0].type, "any.ref");
+        });
+
+        it("should reject invalid time zones at schema construction", () => {
+            assert.throws(() => custom.zonedDateTime().timezone("Mars/Olympus_Mons"));
+            assert.throws(() => custom.zonedDateTime().timezone([]));
+        });
+    });
+
+    describe("timezoneKind", () => {
+        it("should reject fixed-offset zones with iana", () => {
+            const schema = custom.zonedDateTime().timezoneKind("iana");
+            expectPass(schema, "2021-06-15T12:00:00+05:00[Asia/Karachi]");
+            const error = expectError(schema, "2021-06-15T12:00:00+05:00[+05:00]", "temporal.zonedDateTime.timezoneKind");
+            assert.equal(error.details[0].context?.timezone, "+05:00");
+        });
+
+        it("should reject IANA zones with offset", () => {
+            expectError(custom.zonedDateTime().timezoneKind("offset"), "2021-06-15T12:00:00+00:00[UTC]", "temporal.zonedDateTime.timezoneKind");
+        });
+
+        it("should reject an unknown kind at schema construction", () => {
+            assert.throws(() => custom.zonedDateTime().timezoneKind("named" as any));
+        });
+    });
+
+    describe("offset", () => {
+        it("should bound the UTC offset", () => {
+            const schema = custom.zonedDateTime().offset("-05:00", "+01:00");
+            expectPass(schema, "2021-01-15T12:00:00-05:00[America/New_York]");
+            expectPass(schema, "2021-01-15T12:00:00+01:00[Europe/Paris]");
+            const error = expectError(schema, "2021-06-15T12:00:00+02:00[Europe/Paris]", "temporal.zonedDateTime.offset");
+            assert.equal(error.details[0].context?.offset, "+02:00");
+        });
+
+        it("should accept offsets without a colon", () => {
+            expectError(custom.zonedDateTime().offset("+0000", "+0000"), "2021-06-15T12:00:00+05:30[Asia/Kolkata]", "temporal.zonedDateTime.offset");
+        });
+
+        it("should reject invalid bounds at schema construction", () => {
+            assert.throws(() => custom.zonedDateTime().offset("+25:00", "+01:00"));
+            assert.throws(() => custom.zonedDateTime().offset("+02:00", "+01:00"));
+        });
+    });
+
+    // ── Strict format ─────────────────────────────────────────
+
+    describe("strict", () => {
+        it("should pass for a date-time with offset and time zone", () => {
+            expectPass(custom.zonedDateTime().strict(), "2024-03-15T10:00:00-04:00[America/New_York]");
+        });
+
+        it("should fail without an offset", () => {
+            expectError(custom.zonedDateTime().strict(), "2024-03-15T10:00:00[America/New_York]", "temporal.zonedDateTime.format");
+        });
+
+        it("should fail for calendar tags and other annotations", () => {
+            const schema = custom.zonedDateTime().strict();
+            expectError(schema, "2024-03-15T10:00:00+00:00[UTC][u-ca=iso8601]", "temporal.zonedDateTime.format");
+            expectError(schema, "2024-03-15T10:00:00+00:00[!UTC]", "temporal.zonedDateTime.format");
+        });
+    });
+
+    // ── Property bags ─────────────────────────────────────────
+
+    describe("propertyBag", () => {
+        it("should coerce fields with a timeZone", () => {
+            const schema = custom.zonedDateTime().propertyBag();
+            const value = expectPass(schema, { year: 2024, month: 3, day: 15, hour: 9, timeZone: "America/New_York" });
+            assert.equal(value.toString(), "2024-03-15T09:00:00-04:00[America/New_York]");
+        });
+
+        it("should require a timeZone", () => {
+            const error = expectError(custom.zonedDateTime().propertyBag(), { year: 2024, month: 3, day: 15 }, "temporal.zonedDateTime.missingField");
+            assert.equal(error.details[0].context?.fields, "timeZone");
+        });
+
+        it("should fail with base for an unknown timeZone", () => {
+            const schema = custom.zonedDateTime().propertyBag();
+            expectError(schema, { year: 2024, month: 3, day: 15, timeZone: "Nope" }, "temporal.zonedDateTime.base");
+        });
+    });
+
+    // ── Epoch and Date inputs ─────────────────────────────────
+
+    describe("epoch and fromDate", () => {
+        it("should project epoch numbers into the time zone", () => {
+            const schema = custom.zonedDateTime().epoch("milliseconds", { timeZone: "Asia/Tokyo" });
+            assert.equal(expectPass(schema, 1710496800000).toString(), "2024-03-15T19:00:00+09:00[Asia/Tokyo]");
+        });
+
+        it("should project Date objects into the time zone", () => {
+            const schema = custom.zonedDateTime().fromDate({ timeZone: "America/New_York" });
+            assert.equal(expectPass(schema, new Date("2024-03-15T10:00:00Z")).toString(), "2024-03-15T06:00:00-04:00[America/New_York]");
+        });
+
+        it("should require a valid timeZone at schema construction", () => {
+            assert.throws(() => custom.zonedDateTime().epoch("seconds"));
+            assert.throws(() => custom.zonedDateTime().fromDate({ timeZone: "Mars/Olympus_Mons" }));
+        });
+    });
+
+    // ── Format presets ────────────────────────────────────────
+
+    describe("format presets", () => {
+        it("should keep the parsed offset as the time zone", () => {
+            const value = expectPass(custom.zonedDateTime().format("rfc2822"), "Fri, 15 Mar 2024 14:30:00 +0530");
+            assert.equal(value.toString(), "2024-03-15T14:30:00+05:30[+05:30]");
+        });
+
+        it("should use UTC for GMT", () => {
+            const value = expectPass(custom.zonedDateTime().format("http-date"), "Sun, 06 Nov 1994 08:49:37 GMT");
+            assert.equal(value.timeZoneId, "UTC");
+        });
+    });
+
+    // ── Lenient input ─────────────────────────────────────────
+
+    describe("lenient", () => {
+        it("should normalize the offset ahead of the time zone annotation", () => {
+            const schema = custom.zonedDateTime().strict().lenient();
+            const value = expectPass(schema, "2024-03-15 14:30+0100[Europe/Paris]");
+            assert.equal(value.toString(), "2024-03-15T14:30:00+01:00[Europe/Paris]");
+        });
+    });
+
+    // ── Output ────────────────────────────────────────────────
+
+    describe("output", () => {
+        it("should drop the offset and annotation when asked", () => {
+            const schema = custom.zonedDateTime().output("iso", { timeZoneName: "never", offset: "never" });
+            assert.equal(expectPass(schema, "2024-03-15T14:30:00+01:00[Europe/Paris]"), "2024-03-15T14:30:00");
+        });
+
+        it("should return the exact time as a Date", () => {
+            const value = expectPass(custom.zonedDateTime().output("date"), "2024-03-15T14:30:00+01:00[Europe/Paris]");
+            assert.equal(value.toISOString(), "2024-03-15T13:30:00.000Z");
+        });
+    });
+
+    // ── Calendars ─────────────────────────────────────────────
+
+    describe("calendar", () => {
+        it("should restrict and convert calendars", () => {
+            const input = "2024-03-15T10:00:00+00:00[UTC][u-ca=japanese]";
+            expectError(custom.zonedDateTime().calendar("iso8601"), input, "temporal.zonedDateTime.calendar");
+            assert.equal(expectPass(custom.zonedDateTime().withCalendar("iso8601"), input).calendarId, "iso8601");
+        });
+    });
+
+    // ── Disambiguation and offset ─────────────────────────────
+
+    describe("disambiguation and offset", () => {
+        // New York springs forward at 02:00 on 2024-03-10 and falls back at 02:00 on 2024-11-03
+        const gap = "2024-03-10T02:30:00[America/New_York]";
+        const overlap = "2024-11-03T01:30:00[America/New_York]";
+
+        it("should resolve DST gaps and overlaps compatibly by default", () => {
+            assert.equal(expectPass(custom.zonedDateTime(), gap).toString(), "2024-03-10T03:30:00-04:00[America/New_York]");
+            assert.equal(expectPass(custom.zonedDateTime(), overlap).offset, "-04:00");
+        });
+
+        it("should pick the later instant in an overlap", () => {
+            assert.equal(expectPass(custom.zonedDateTime().disambiguation("later"), overlap).offset, "-05:00");
+        });
+
+        it("should fail with nonexistent or ambiguous under reject", () => {
+            const schema = custom.zonedDateTime().disambiguation("reject");
+            const error = expectError(schema, gap, "temporal.zonedDateTime.nonexistent");
+            assert.equal(error.details[0].context?.timezone, "America/New_York");
+            assert.equal(error.details[0].context?.dateTime, "2024-03-10T02:30:00");
+            expectError(schema, overlap, "temporal.zonedDateTime.ambiguous");
+            expectPass(schema, "2024-11-03T01:30:00-05:00[America/New_York]");
+        });
+
+        it("should apply disambiguation to property bags", () => {
+            const schema = custom.zonedDateTime().propertyBag().disambiguation("reject");
+            const bag = { year: 2024, month: 3, day: 10, hour: 2, minute: 30, timeZone: "America/New_York" };
+            expectError(schema, bag, "temporal.zonedDateTime.nonexistent");
+        });
+
+        it("should fail with offsetMismatch when the offset conflicts with the zone", () => {
+            const input = "2024-06-01T12:00:00+09:00[America/New_York]";
+            expectError(custom.zonedDateTime(), input, "temporal.zonedDateTime.offsetMismatch");
+            assert.equal(expectPass(custom.zonedDateTime().offset("prefer"), input).toString(), "2024-06-01T12:00:00-04:00[America/New_York]");
+            assert.equal(expectPass(custom.zonedDateTime().offset("use"), input).toString(), "2024-05-31T23:00:00-04:00[America/New_York]");
+        });
+
+        it("should still bound the offset when given two arguments", () => {
+            const schema = custom.zonedDateTime().offset("ignore").offset("-05:00", "-05:00");
+            expectError(schema, "2024-06-01T12:00:00+09:00[America/New_York]", "temporal.zonedDateTime.offset");
+        });
+
+        it("should reject unknown modes at schema construction", () => {
+            assert.throws(() => custom.zonedDateTime().disambiguation("first" as any));
+            assert.throws(() => custom.zonedDateTime().offset("keep"));
+        });
     });
 
     // ── Joi integration ───────────────────────────────────────